@@ -1,12 +1,18 @@
 'use strict';
 // --- Core Libraries ---
 const TelegramBot = require('node-telegram-bot-api');
+const nodemailer = require('nodemailer');
+const axios = require('axios');
+const mqtt = require('mqtt');
+const { Resvg } = require('@resvg/resvg-js');
 const api = require('growatt');
 const cron = require('node-cron');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
 require('dotenv').config();
-const { differenceInMinutes, differenceInDays, differenceInHours, format, subDays, startOfWeek, endOfWeek, startOfMonth, endOfMonth, eachDayOfInterval, getDaysInMonth, subWeeks, subMonths, parseISO } = require('date-fns');
+const { differenceInMinutes, differenceInDays, differenceInHours, format, subDays, addDays, startOfWeek, endOfWeek, startOfMonth, endOfMonth, eachDayOfInterval, getDaysInMonth, subWeeks, subMonths, parseISO, isValid } = require('date-fns');
 
 // =================================================================
 // --- ⚙️ 1. CENTRALIZED CONFIGURATION ---
@@ -15,23 +21,142 @@ const GROWATT_USER = process.env.GROWATT_USER;
 const GROWATT_PASSWORD = process.env.GROWATT_PASSWORD;
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const TELEGRAM_GROUP_ID = process.env.TELEGRAM_GROUP_ID;
+const STATE_FILE = process.env.STATE_FILE || path.join(__dirname, 'bot_state.json');
+const STATE_BACKUP_COUNT = parseInt(process.env.STATE_BACKUP_COUNT || '5', 10); // Rotating copies kept as <STATE_FILE>.bak.1 (newest) .. .bak.N
+const STATE_BACKUP_INTERVAL_MINUTES = 60; // The state is saved often; only rotate a backup in when the newest one is at least this old.
+// --- Offline / test mode (see "Growatt data sources & message capture") ---
+const GROWATT_SOURCE = ['live', 'record', 'replay'].includes(process.env.GROWATT_SOURCE) ? process.env.GROWATT_SOURCE : 'live';
+const GROWATT_FIXTURES_DIR = path.resolve(process.env.GROWATT_FIXTURES_DIR || path.join(__dirname, 'fixtures'));
+const MESSENGER = process.env.MESSENGER === 'capture' ? 'capture' : 'telegram';
+const CAPTURE_FILE = process.env.CAPTURE_FILE;
+const CAPTURE_LOG = process.env.CAPTURE_LOG === 'true'; // Also print every captured message to the console.
+const CAPTURE_ADMIN_IDS = (process.env.CAPTURE_ADMIN_IDS || '').split(',').filter(Boolean).map(Number);
+// --- Email channel (optional; point SMTP_HOST/SMTP_PORT at a local sink such as MailHog to test) ---
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || '587', 10);
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
+const EMAIL_FROM = process.env.EMAIL_FROM || SMTP_USER;
+const EMAIL_TO = process.env.EMAIL_TO;
+// --- Outbound publishing of live readings and events (optional) ---
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const WEBHOOK_TOKEN = process.env.WEBHOOK_TOKEN;
+const MQTT_URL = process.env.MQTT_URL;
+const MQTT_USER = process.env.MQTT_USER;
+const MQTT_PASSWORD = process.env.MQTT_PASSWORD;
+const MQTT_TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'growatt';
+// --- Local dashboard / JSON API (optional; disabled unless HTTP_PORT and HTTP_TOKEN are set) ---
+const HTTP_PORT = parseInt(process.env.HTTP_PORT || '0', 10);
+const HTTP_HOST = process.env.HTTP_HOST || '127.0.0.1';
+const HTTP_TOKEN = process.env.HTTP_TOKEN;
+const PUBLISH_RETRIES = 3;
+const MQTT_TIMEOUT_MS = 10000; // How long a publish waits for the broker connection, then for its acknowledgement, before counting as a failure.
+// --- Growatt portal access: retries, rate limit and login protection ---
+const GROWATT_MAX_ATTEMPTS = 4;
+const GROWATT_BACKOFF_BASE_MS = 2000;
+const GROWATT_BACKOFF_MAX_MS = 30000;
+const GROWATT_MIN_INTERVAL_MS = 1000; // Minimum spacing between two portal requests.
+const GROWATT_AUTH_COOLDOWN_MINUTES = 10;
+const GROWATT_AUTH_ALERT_THRESHOLD = 3; // Consecutive rejected logins before GROWATT_AUTH_ALERT is sent.
+const GROWATT_ERROR_MESSAGES = { auth: 'ERROR_GROWATT_AUTH', network: 'ERROR_GROWATT_NETWORK', portal: 'ERROR_GROWATT_PORTAL' };
+const OUTBOX_MAX_EVENTS = 500;
+// --- Alert routing: alert type -> severity -> channels ---
+const ALERT_SEVERITIES = {
+  URGENT_ALERT_MESSAGE: 'urgent', OUTAGE_MESSAGE: 'critical', RECOVERY_MESSAGE: 'critical', GROWATT_AUTH_ALERT: 'critical', STATE_RECOVERY_ALERT: 'critical', FAULT_ALERT: 'critical',
+  LIVENESS_ALERT: 'warning', FAULT_WARNING_ALERT: 'warning', FAULT_LOG_ALERT: 'warning', GRID_VOLTAGE_ALERT: 'warning', TEMP_ALERT: 'warning', UNDERPERFORMANCE_ALERT: 'warning',
+  WEEKLY_REPORT: 'report', MONTHLY_REPORT: 'report',
+  BEST_DAY_MESSAGE: 'info', MILESTONE_MESSAGE: 'info', CLEANING_REMINDER: 'info', CLEANING_SUGGESTION: 'info', WELCOME: 'info'
+};
+// --- Categories users can subscribe to for direct-message alerts ---
+const ALERT_CATEGORIES = {
+  outage: ['OUTAGE_MESSAGE', 'RECOVERY_MESSAGE'], urgent: ['URGENT_ALERT_MESSAGE'], temperature: ['TEMP_ALERT'], liveness: ['LIVENESS_ALERT'],
+  reports: ['WEEKLY_REPORT', 'MONTHLY_REPORT'], milestones: ['BEST_DAY_MESSAGE', 'MILESTONE_MESSAGE'], performance: ['UNDERPERFORMANCE_ALERT', 'CLEANING_SUGGESTION', 'CLEANING_REMINDER'],
+  faults: ['FAULT_ALERT', 'FAULT_WARNING_ALERT', 'FAULT_LOG_ALERT', 'GRID_VOLTAGE_ALERT']
+};
+// SEVERITY_CHANNELS overrides the routing as JSON, e.g. {"warning":["telegram","email"]}; a malformed value is ignored.
+function parseSeverityChannels(json) {
+    try {
+        const overrides = JSON.parse(json || '{}');
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) throw new Error('expected an object of severity -> channel list');
+        return overrides;
+    } catch (e) {
+        console.error(`Ignoring SEVERITY_CHANNELS, using the default routing: ${e.message}`);
+        return {};
+    }
+}
+const SEVERITY_CHANNELS = {
+  urgent: ['telegram', 'email'], critical: ['telegram', 'email'], warning: ['telegram'], report: ['telegram'], info: ['telegram'],
+  ...parseSeverityChannels(process.env.SEVERITY_CHANNELS)
+};
 // --- Bot Behavior DEFAULTS ---
 const DEFAULT_LANGUAGE = 'en';
 const DEFAULT_COST_PER_KWH = 0.32;
 const DEFAULT_CURRENCY_SYMBOL = "TND";
 const DEFAULT_CLEANING_WEEKS = 4;
 const DEFAULT_TEMP_THRESHOLD_C = 60;
-const CHECK_HOUR_START = 10;
-const CHECK_HOUR_END = 15;
-const URGENT_ALERT_DELAY_MINUTES = 15;
-const MILESTONE_STEP_KWH = 1000;
-const LIVENESS_CHECK_HOURS = 2;
-const HISTORY_DAYS_TO_KEEP = 90;
+const DEFAULT_CHECK_HOUR_START = 10; // Fixed monitoring window, used until the plant's latitude/longitude are configured.
+const DEFAULT_CHECK_HOUR_END = 15;
+// When both are set they override the saved location on every start; otherwise /setlocation decides.
+const PLANT_LATITUDE = process.env.PLANT_LATITUDE ? parseFloat(process.env.PLANT_LATITUDE) : null;
+const PLANT_LONGITUDE = process.env.PLANT_LONGITUDE ? parseFloat(process.env.PLANT_LONGITUDE) : null;
+const PLANT_LOCATION_FROM_ENV = Number.isFinite(PLANT_LATITUDE) && Number.isFinite(PLANT_LONGITUDE);
+const DEFAULT_URGENT_DELAY_MINUTES = 15;
+const DEFAULT_ESCALATION_INTERVAL_MINUTES = 60; // Reminder interval for unacknowledged incidents (0 = no reminders).
+const DEFAULT_MILESTONE_STEP_KWH = 1000;
+const DEFAULT_LIVENESS_HOURS = 2;
+const DEFAULT_GRID_VOLTAGE_MIN = 207; // 230 V ±10% (EN 50160).
+const DEFAULT_GRID_VOLTAGE_MAX = 253;
+const DEFAULT_HISTORY_RETENTION_DAYS = 730; // Daily records older than this are rolled up into monthly totals (0 = keep forever).
+const LEGACY_DEVICE_KEY = 'legacy';
+const UNDERPERFORMANCE_THRESHOLD = 0.7; // Alert when a day yields less than this share of the weather-adjusted expectation.
+const CLEANING_RATIO_THRESHOLD = 0.85; // Suggest cleaning when recent sunny days average below this share of the baseline.
+// --- Runtime settings (state.config), editable with /set and listed by /config ---
+// `validate` returns an error translation key for values that pass the type/range check but clash with another setting;
+// `step` is the increment offered by the settings buttons in /menu.
+const CONFIG_SCHEMA = {
+  language: { type: 'enum', values: ['en', 'fr'], default: DEFAULT_LANGUAGE },
+  currencySymbol: { type: 'string', maxLength: 5, default: DEFAULT_CURRENCY_SYMBOL },
+  // Only used without tariffs: changing a version's rate would revalue everything produced under it, so /tariff add is the way.
+  costPerKwh: { type: 'number', min: 0.001, max: 100, step: 0.01, default: DEFAULT_COST_PER_KWH, validate: (cost, config) => config.tariffs.length > 0 ? 'ERROR_COST_TARIFFS' : null },
+  cleaningIntervalWeeks: { type: 'integer', min: 1, max: 52, step: 1, default: DEFAULT_CLEANING_WEEKS },
+  tempThreshold: { type: 'integer', min: 31, max: 100, step: 5, default: DEFAULT_TEMP_THRESHOLD_C },
+  historyRetentionDays: { type: 'integer', min: 0, max: 3650, step: 30, default: DEFAULT_HISTORY_RETENTION_DAYS, onChange: () => pruneHistory() },
+  milestoneStepKwh: { type: 'integer', min: 1, max: 1000000, step: 500, default: DEFAULT_MILESTONE_STEP_KWH },
+  livenessCheckHours: { type: 'integer', min: 1, max: 72, step: 1, default: DEFAULT_LIVENESS_HOURS },
+  urgentDelayMinutes: { type: 'integer', min: 1, max: 1440, step: 5, default: DEFAULT_URGENT_DELAY_MINUTES },
+  escalationIntervalMinutes: { type: 'integer', min: 0, max: 1440, step: 15, default: DEFAULT_ESCALATION_INTERVAL_MINUTES },
+  checkHourStart: { type: 'integer', min: 0, max: 23, step: 1, default: DEFAULT_CHECK_HOUR_START, validate: (hour, config) => hour > config.checkHourEnd ? 'ERROR_CONFIG_WINDOW' : null },
+  checkHourEnd: { type: 'integer', min: 0, max: 23, step: 1, default: DEFAULT_CHECK_HOUR_END, validate: (hour, config) => hour < config.checkHourStart ? 'ERROR_CONFIG_WINDOW' : null },
+  gridVoltageMin: { type: 'number', min: 100, max: 300, step: 1, default: DEFAULT_GRID_VOLTAGE_MIN, validate: (volts, config) => volts >= config.gridVoltageMax ? 'ERROR_CONFIG_GRID_LIMITS' : null },
+  gridVoltageMax: { type: 'number', min: 100, max: 300, step: 1, default: DEFAULT_GRID_VOLTAGE_MAX, validate: (volts, config) => volts <= config.gridVoltageMin ? 'ERROR_CONFIG_GRID_LIMITS' : null },
+  quietHours: { type: 'timeRange', nullable: true, default: null },
+  latitude: { type: 'number', min: -90, max: 90, nullable: true, default: PLANT_LATITUDE },
+  longitude: { type: 'number', min: -180, max: 180, nullable: true, default: PLANT_LONGITUDE }
+};
+const CONFIG_HISTORY_LIMIT = 15; // Audit entries shown by /config history (the log itself is never trimmed).
+// --- State file versions: STATE_MIGRATIONS[n] upgrades a version-n file in place (files without `version` are version 0) ---
+const STATE_MIGRATIONS = [
+  // 0 -> 1: the flat `stats.history` map of date -> kWh, without any device information, moves into `history.days`.
+  (saved) => {
+    const days = { ...saved.history?.days };
+    for (const [dateStr, kwh] of Object.entries(saved.stats?.history || {})) {
+      if (!days[dateStr]) days[dateStr] = { [LEGACY_DEVICE_KEY]: { kwh: parseFloat(kwh) || 0, peakW: null, final: true } };
+    }
+    saved.history = { ...saved.history, days };
+    if (saved.stats) delete saved.stats.history;
+  }
+];
+const STATE_VERSION = STATE_MIGRATIONS.length;
 
 // --- Bot Initialization ---
-const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: true });
+const capturedMessages = [];
+const bot = MESSENGER === 'capture' ? createCaptureBot() : new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: false });
+let stateRecovery = null; // Set by loadState when the state file was unreadable; reported to the group once the bot starts.
 let state = loadState();
 let apiCache = { data: null, timestamp: 0 };
+// Outcome of the most recent Growatt fetch and Telegram send, reported by /healthz.
+const health = { growatt: { lastSuccess: null, lastFailure: null, lastError: null }, telegram: { lastSuccess: null, lastFailure: null, lastError: null } };
 
 // =================================================================
 // --- 🌐 2. INTERNATIONALIZATION (i18n) & HELPERS ---
@@ -45,79 +170,1400 @@ try {
     process.exit(1);
 }
 
-function t(key, lang, variables = {}) {
-    const language = lang || state.config.language;
-    let text = translations[language]?.[key] || translations[DEFAULT_LANGUAGE]?.[key] || `Missing translation: ${key}`;
-    for (const [variable, value] of Object.entries(variables)) {
-        text = text.replace(new RegExp(`{${variable}}`, 'g'), value);
+function t(key, lang, variables = {}) {
+    const language = lang || state.config.language;
+    let text = translations[language]?.[key] || translations[DEFAULT_LANGUAGE]?.[key] || `Missing translation: ${key}`;
+    for (const [variable, value] of Object.entries(variables)) {
+        text = text.replace(new RegExp(`{${variable}}`, 'g'), value);
+    }
+    return text;
+}
+
+// --- State persistence ---
+// Saves go to a temp file that is fsynced and renamed over STATE_FILE, so a crash leaves either the old or the new state.
+// On load, older files are upgraded through STATE_MIGRATIONS and anything this release doesn't know about is kept.
+function createDefaultState() {
+    return {
+      version: STATE_VERSION,
+      config: getConfigDefaults(),
+      stats: { lastReminderDate: new Date(), nextMilestoneKwh: DEFAULT_MILESTONE_STEP_KWH, bestDay: { date: null, kwh: 0 } },
+      status: { devices: {} },
+      history: { days: {}, months: {}, performance: {} },
+      outbox: [],
+      subscribers: {},
+      incidents: { nextId: 1, list: [] },
+      configAudit: [],
+      faults: { events: [], lastLogTime: {} }
+    };
+}
+
+function getStateBackupFile(index) { return `${STATE_FILE}.bak.${index}`; }
+
+function readStateFile(file) {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) throw new Error('State file does not contain a JSON object.');
+    return saved;
+}
+
+function loadState() {
+    let saved;
+    try {
+        saved = readStateFile(STATE_FILE);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.log("State file not found. Creating a new one with defaults.");
+            return createDefaultState();
+        }
+        saved = recoverState(error);
+        if (!saved) return createDefaultState();
+    }
+    return mergeState(migrateState(saved));
+}
+
+// Sets the unreadable file aside (so the next save can't rotate it into the backups) and falls back to the newest readable backup.
+function recoverState(error) {
+    const corruptFile = `${STATE_FILE}.corrupt-${format(new Date(), 'yyyyMMdd-HHmmss')}`;
+    try { fs.renameSync(STATE_FILE, corruptFile); } catch (e) { console.error("Could not move the unreadable state file aside:", e.message); }
+    console.error(`CRITICAL: State file is unreadable (${error.message}). Kept it as ${corruptFile}.`);
+    for (let index = 1; index <= STATE_BACKUP_COUNT; index++) {
+        const backupFile = getStateBackupFile(index);
+        try {
+            const saved = readStateFile(backupFile);
+            console.log(`Recovered state from ${backupFile}.`);
+            stateRecovery = { error: error.message, corruptFile, backupFile, backupTime: fs.statSync(backupFile).mtime };
+            return saved;
+        } catch (backupError) {
+            if (backupError.code !== 'ENOENT') console.error(`Backup ${backupFile} is unreadable too:`, backupError.message);
+        }
+    }
+    console.error("CRITICAL: No readable state backup. Starting with defaults.");
+    stateRecovery = { error: error.message, corruptFile, backupFile: null, backupTime: null };
+    return null;
+}
+
+function migrateState(saved) {
+    const version = Number.isInteger(saved.version) ? saved.version : 0;
+    if (version > STATE_VERSION) console.warn(`State file version ${version} is newer than this release supports (${STATE_VERSION}). Loading it as is.`);
+    for (let next = version; next < STATE_VERSION; next++) {
+        STATE_MIGRATIONS[next](saved);
+        console.log(`Migrated state file to version ${next + 1}.`);
+    }
+    saved.version = Math.max(version, STATE_VERSION);
+    return saved;
+}
+
+// Defaults fill in whatever the saved state lacks; fields added by other releases are carried over untouched.
+function mergeState(saved) {
+    const defaults = createDefaultState();
+    const merged = {
+      ...defaults, ...saved,
+      config: { ...defaults.config, ...saved.config },
+      stats: { ...defaults.stats, ...saved.stats, bestDay: { ...defaults.stats.bestDay, ...saved.stats?.bestDay } },
+      status: { ...defaults.status, ...saved.status, devices: { ...saved.status?.devices } },
+      history: { ...defaults.history, ...saved.history },
+      outbox: Array.isArray(saved.outbox) ? saved.outbox : defaults.outbox,
+      subscribers: { ...saved.subscribers },
+      incidents: { ...defaults.incidents, ...saved.incidents, list: Array.isArray(saved.incidents?.list) ? saved.incidents.list : [] },
+      configAudit: Array.isArray(saved.configAudit) ? saved.configAudit : [],
+      faults: { events: Array.isArray(saved.faults?.events) ? saved.faults.events : [], lastLogTime: { ...saved.faults?.lastLogTime } }
+    };
+    merged.stats.lastReminderDate = new Date(merged.stats.lastReminderDate);
+    if (PLANT_LOCATION_FROM_ENV) Object.assign(merged.config, { latitude: PLANT_LATITUDE, longitude: PLANT_LONGITUDE });
+    return merged;
+}
+
+function rotateStateBackups() {
+    if (STATE_BACKUP_COUNT <= 0 || !fs.existsSync(STATE_FILE)) return;
+    const newest = getStateBackupFile(1);
+    if (fs.existsSync(newest) && differenceInMinutes(new Date(), fs.statSync(newest).mtime) < STATE_BACKUP_INTERVAL_MINUTES) return;
+    for (let index = STATE_BACKUP_COUNT - 1; index >= 1; index--) {
+        if (fs.existsSync(getStateBackupFile(index))) fs.renameSync(getStateBackupFile(index), getStateBackupFile(index + 1));
+    }
+    fs.copyFileSync(STATE_FILE, newest);
+}
+
+function saveState() {
+    rotateStateBackups();
+    const tempFile = `${STATE_FILE}.tmp`;
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(state, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, STATE_FILE);
+}
+
+function notifyStateRecovery() {
+    const { error, corruptFile, backupFile, backupTime } = stateRecovery;
+    const variables = { error: error.replace(/`/g, "'"), corruptFile: path.basename(corruptFile), backupFile: backupFile && path.basename(backupFile), time: backupTime && format(backupTime, 'yyyy-MM-dd HH:mm') };
+    notify('STATE_RECOVERY_ALERT', lang => t(backupFile ? 'STATE_RECOVERED_ALERT' : 'STATE_RESET_ALERT', lang, variables));
+}
+
+// `extraOptions` are passed through to getAllPlantData (e.g. `historyAll`); such requests bypass the live-data cache.
+async function getGrowattData(forceNew = false, date = new Date(), extraOptions = {}) {
+    const isToday = format(date, 'yyyy-MM-dd') === format(new Date(), 'yyyy-MM-dd');
+    const isPlainRequest = Object.keys(extraOptions).every(option => option.startsWith('faultlog')); // The fault log rides along with live data.
+    if (!forceNew && isToday && isPlainRequest && apiCache.data && (Date.now() - apiCache.timestamp < 120000)) {
+        return apiCache.data;
+    }
+    try {
+        const allPlantData = await growattSources[GROWATT_SOURCE]({ historyLastStartDate: date, historyLastEndDate: date, ...extraOptions });
+        recordHealth('growatt');
+        if (isToday && isPlainRequest) {
+            apiCache = { data: allPlantData, timestamp: Date.now() };
+            publishSnapshot(allPlantData);
+        }
+        return allPlantData;
+    } catch (e) {
+        console.error(`Failed to get Growatt data (${e.category}):`, e.message);
+        recordHealth('growatt', e);
+        const error = new Error(t(GROWATT_ERROR_MESSAGES[e.category] || 'ERROR_API_CONNECTION', state.config.language));
+        error.category = e.category;
+        throw error;
+    }
+}
+
+// --- Growatt portal client ---
+// One logged-in session shared by every caller. Requests are serialized and spaced GROWATT_MIN_INTERVAL_MS apart,
+// identical concurrent requests share one call, and failures are retried with exponential backoff and jitter.
+// Errors carry a `category`: 'auth' (credentials rejected), 'network' (portal unreachable) or 'portal' (portal down or misbehaving).
+const growattSession = { client: null, loginPromise: null, queue: Promise.resolve(), lastRequestAt: 0, inflight: new Map(), authFailures: 0, lastAuthFailure: null, authAlertSent: false };
+
+function categorizeGrowattError(e, duringLogin = false) {
+    if (e.category) return e;
+    let category = 'portal';
+    if ((duringLogin && String(e.message).startsWith('{')) || [401, 403].includes(e.response?.status)) category = 'auth';
+    else if (!e.response && e.code) category = 'network';
+    const error = new Error(e.message);
+    error.category = category;
+    return error;
+}
+
+function withGrowattRateLimit(request) {
+    const run = growattSession.queue.then(async () => {
+        const wait = growattSession.lastRequestAt + GROWATT_MIN_INTERVAL_MS - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        try { return await request(); } finally { growattSession.lastRequestAt = Date.now(); }
+    });
+    growattSession.queue = run.catch(() => {});
+    return run;
+}
+
+// Logs in once for all waiting callers. After rejected credentials, no new login is tried for GROWATT_AUTH_COOLDOWN_MINUTES
+// so a wrong password cannot lock the account.
+async function getGrowattSession() {
+    if (growattSession.client?.isConnected()) return growattSession.client;
+    if (growattSession.lastAuthFailure && Date.now() - growattSession.lastAuthFailure.time < GROWATT_AUTH_COOLDOWN_MINUTES * 60000) {
+        throw growattSession.lastAuthFailure.error;
+    }
+    if (!growattSession.loginPromise) {
+        growattSession.loginPromise = (async () => {
+            const client = new api({});
+            try { await withGrowattRateLimit(() => client.login(GROWATT_USER, GROWATT_PASSWORD)); }
+            catch (e) {
+                const error = categorizeGrowattError(e, true);
+                if (error.category === 'auth') recordGrowattAuthFailure(error);
+                throw error;
+            }
+            growattSession.client = client;
+            return client;
+        })().finally(() => { growattSession.loginPromise = null; });
+    }
+    return growattSession.loginPromise;
+}
+
+function recordGrowattAuthFailure(error) {
+    growattSession.authFailures += 1;
+    growattSession.lastAuthFailure = { time: Date.now(), error };
+    console.error(`Growatt login rejected (${growattSession.authFailures} in a row): ${error.message}`);
+    if (growattSession.authFailures >= GROWATT_AUTH_ALERT_THRESHOLD && !growattSession.authAlertSent) {
+        growattSession.authAlertSent = true;
+        notify('GROWATT_AUTH_ALERT', lang => t('GROWATT_AUTH_ALERT', lang, { count: growattSession.authFailures }));
+        publishEvent('growatt_auth_failure', { failures: growattSession.authFailures, error: error.message });
+    }
+}
+
+async function fetchAllPlantData(options) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const client = await getGrowattSession();
+            const data = await withGrowattRateLimit(() => client.getAllPlantData(options));
+            Object.assign(growattSession, { authFailures: 0, lastAuthFailure: null, authAlertSent: false });
+            return data;
+        } catch (e) {
+            const error = categorizeGrowattError(e);
+            // An expired session shows up as an unexpected response with the client marked disconnected: log in again right away.
+            const sessionExpired = growattSession.client && !growattSession.client.isConnected();
+            if (sessionExpired || error.category !== 'network') growattSession.client = null;
+            if (error.category === 'auth' || attempt >= GROWATT_MAX_ATTEMPTS) throw error;
+            console.warn(`Growatt request failed (${error.category}, attempt ${attempt}/${GROWATT_MAX_ATTEMPTS}): ${error.message}`);
+            if (sessionExpired && attempt === 1) continue;
+            const backoff = Math.min(GROWATT_BACKOFF_MAX_MS, GROWATT_BACKOFF_BASE_MS * 2 ** (attempt - 1));
+            await new Promise(resolve => setTimeout(resolve, backoff / 2 + Math.random() * backoff / 2));
+        }
+    }
+}
+
+// Callers pass a Date for the day they want; requests for the same day count as identical whatever its time of day.
+function requestGrowattData(options) {
+    const { historyLastStartDate, historyLastEndDate, ...otherOptions } = options;
+    const key = JSON.stringify({ ...otherOptions, day: format(historyLastStartDate, 'yyyy-MM-dd'), endDay: format(historyLastEndDate, 'yyyy-MM-dd') });
+    if (!growattSession.inflight.has(key)) {
+        growattSession.inflight.set(key, fetchAllPlantData(options).finally(() => growattSession.inflight.delete(key)));
+    }
+    return growattSession.inflight.get(key);
+}
+
+// --- Growatt data sources & message capture ---
+// GROWATT_SOURCE picks where getAllPlantData payloads come from: 'live' (the portal), 'record' (the portal, saving every
+// payload as a fixture) or 'replay' (fixtures only). Fixtures live in GROWATT_FIXTURES_DIR:
+//   YYYY-MM-DD.json                    the day's payload (history lookups, and live data when no snapshot matches)
+//   YYYY-MM-DDTHHmm.json               live data as it was at that time; the latest one not after "now" wins
+//   YYYY-MM-DD.historyAll.<start>.json one page of intraday samples
+// MESSENGER=capture swaps Telegram for a stand-in that records every outgoing message (and appends it to CAPTURE_FILE).
+function getFixtureName(options, snapshot = false) {
+    const date = new Date(options.historyLastStartDate);
+    if (options.historyAll) return `${format(date, 'yyyy-MM-dd')}.historyAll.${options.historyStart || 0}.json`;
+    return snapshot ? `${format(new Date(), "yyyy-MM-dd'T'HHmm")}.json` : `${format(date, 'yyyy-MM-dd')}.json`;
+}
+
+async function readGrowattFixture(options) {
+    const name = getFixtureName(options);
+    let file = path.join(GROWATT_FIXTURES_DIR, name);
+    if (!options.historyAll) {
+        const dateStr = name.slice(0, 10);
+        const now = format(new Date(), "yyyy-MM-dd'T'HHmm");
+        const snapshot = fs.readdirSync(GROWATT_FIXTURES_DIR).filter(fileName => /^\d{4}-\d{2}-\d{2}T\d{4}\.json$/.test(fileName) && fileName.startsWith(dateStr) && fileName.slice(0, 15) <= now).sort().pop();
+        if (snapshot) file = path.join(GROWATT_FIXTURES_DIR, snapshot);
+    }
+    if (!fs.existsSync(file)) {
+        if (options.historyAll) return {};
+        const error = new Error(`No Growatt fixture ${name} in ${GROWATT_FIXTURES_DIR}`);
+        error.category = 'portal';
+        throw error;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function recordGrowattFixture(options) {
+    const data = await requestGrowattData(options);
+    const isToday = format(new Date(options.historyLastStartDate), 'yyyy-MM-dd') === format(new Date(), 'yyyy-MM-dd');
+    fs.mkdirSync(GROWATT_FIXTURES_DIR, { recursive: true });
+    fs.writeFileSync(path.join(GROWATT_FIXTURES_DIR, getFixtureName(options, isToday)), JSON.stringify(data, null, 2));
+    return data;
+}
+
+const growattSources = { live: requestGrowattData, record: recordGrowattFixture, replay: readGrowattFixture };
+
+// Implements the subset of the TelegramBot API the monitor uses. `processUpdate` feeds it incoming messages and button presses.
+function createCaptureBot() {
+    const handlers = {};
+    let nextMessageId = 1;
+    const capture = (method, chatId, text, options = {}) => {
+        const message = { method, chatId: chatId === undefined || chatId === null ? null : String(chatId), text: text ?? null, options, time: new Date().toISOString() };
+        capturedMessages.push(message);
+        if (CAPTURE_FILE) fs.appendFileSync(CAPTURE_FILE, JSON.stringify(message) + '\n');
+        if (CAPTURE_LOG) console.log(`[capture] ${method} -> ${message.chatId}: ${message.text}`);
+        return Promise.resolve({ message_id: nextMessageId++, chat: { id: chatId } });
+    };
+    return {
+        on: (event, handler) => { handlers[event] = handler; },
+        processUpdate: async (update) => {
+            if (update.message) await handlers.message?.(update.message);
+            if (update.callback_query) await handlers.callback_query?.(update.callback_query);
+        },
+        startPolling: () => Promise.resolve(),
+        sendMessage: (chatId, text, options) => capture('sendMessage', chatId, text, options),
+        sendPhoto: (chatId, photo, options = {}) => capture('sendPhoto', chatId, options.caption, { ...options, bytes: photo.length }),
+        sendDocument: (chatId, document, options = {}, fileOptions = {}) => capture('sendDocument', chatId, options.caption, { ...options, filename: fileOptions.filename, content: document.toString('utf8') }),
+        answerCallbackQuery: (queryId, options = {}) => capture('answerCallbackQuery', null, options.text, { queryId }),
+        editMessageReplyMarkup: (markup, options = {}) => capture('editMessageReplyMarkup', options.chat_id, null, { ...options, reply_markup: markup }),
+        editMessageText: (text, options = {}) => capture('editMessageText', options.chat_id, text, options),
+        setMyCommands: (commands, options = {}) => capture('setMyCommands', null, null, { ...options, commands }),
+        getChatAdministrators: async () => CAPTURE_ADMIN_IDS.map(id => ({ user: { id } })),
+        getChatMember: async () => ({ status: 'member' })
+    };
+}
+
+function recordHealth(component, error = null) {
+    const now = new Date().toISOString();
+    if (error) Object.assign(health[component], { lastFailure: now, lastError: error.response?.body?.description || error.message, ...(error.category && { lastErrorCategory: error.category }) });
+    else health[component].lastSuccess = now;
+}
+
+// Command replies go back to the chat the command came from; without a chat id they go to the group.
+function formatMarkdown(text, chatId = TELEGRAM_GROUP_ID) {
+    notifiers.telegram.send(text, { chatId })
+       .catch(e => console.error(`Failed to send message: ${e.response?.body || e.message}`));
+}
+
+function sendChart(png, caption, chatId = TELEGRAM_GROUP_ID) {
+    notifiers.telegram.send(caption, { image: png, chatId })
+       .catch(e => console.error(`Failed to send chart: ${e.response?.body || e.message}`));
+}
+
+function sendFile(buffer, filename, contentType, caption, chatId = TELEGRAM_GROUP_ID) {
+    notifiers.telegram.send(caption, { document: { buffer, filename, contentType }, chatId })
+       .catch(e => console.error(`Failed to send document: ${e.response?.body || e.message}`));
+}
+
+// Replies with a chart captioned by `text`, falling back to plain text if rendering fails or the caption is too long for Telegram.
+function replyWithChart(text, render, chatId = TELEGRAM_GROUP_ID) {
+    const png = tryRenderChart(render);
+    if (png && text.length <= 1024) return sendChart(png, text, chatId);
+    formatMarkdown(text, chatId);
+    if (png) sendChart(png, '', chatId);
+}
+
+// --- Notification channels ---
+// Each channel exposes `enabled` and `send(markdownText, { image, document })`; add a channel here and reference it in SEVERITY_CHANNELS.
+// The Telegram channel also takes a `chatId` to reply to a private chat instead of the group, an `incident` to attach its
+// Acknowledge/Snooze buttons (labelled in `lang`) and `silent` to deliver without a notification sound.
+const notifiers = {
+    telegram: {
+        enabled: !!TELEGRAM_GROUP_ID,
+        send: (text, { image, document, chatId = TELEGRAM_GROUP_ID, incident, keyboard, lang = null, silent = false } = {}) => {
+            const replyMarkup = keyboard || (incident && getIncidentKeyboard(incident, lang));
+            const options = { parse_mode: 'Markdown', disable_notification: silent, ...(replyMarkup && { reply_markup: replyMarkup }) };
+            const request = image ? bot.sendPhoto(chatId, image, { caption: text, ...options }, { filename: 'chart.png', contentType: 'image/png' })
+                : document ? bot.sendDocument(chatId, document.buffer, { caption: text, ...options }, { filename: document.filename, contentType: document.contentType })
+                : bot.sendMessage(chatId, text, options);
+            return request.then(result => { recordHealth('telegram'); return result; }, e => { recordHealth('telegram', e); throw e; });
+        }
+    },
+    email: {
+        enabled: !!(SMTP_HOST && EMAIL_TO),
+        transport: null,
+        send(text, { image, document } = {}) {
+            if (!this.transport) {
+                this.transport = nodemailer.createTransport({ host: SMTP_HOST, port: SMTP_PORT, secure: SMTP_SECURE, auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined });
+            }
+            const subject = `Growatt: ${stripMarkdown(text.split('\n').find(line => line.trim()) || '')}`.slice(0, 120);
+            const attachments = image ? [{ filename: 'chart.png', content: image, contentType: 'image/png' }] : [];
+            if (document) attachments.push({ filename: document.filename, content: document.buffer, contentType: document.contentType });
+            return this.transport.sendMail({ from: EMAIL_FROM, to: EMAIL_TO, subject, text: stripMarkdown(text), html: markdownToHtml(text), attachments });
+        }
+    }
+};
+
+// Sends an automatic alert to every channel its severity is routed to. If all of them fail, any other enabled channel is tried.
+// `message` is either the text or a `lang => text` function, so subscribers get the alert in their own language.
+// During quiet hours, non-critical alerts are still delivered but without a notification sound.
+async function notify(alertType, message, options = {}) {
+    const render = typeof message === 'function' ? message : () => message;
+    const text = render(null);
+    const severity = ALERT_SEVERITIES[alertType] || 'info';
+    options = { ...options, silent: isQuietTime() && !CRITICAL_SEVERITIES.includes(severity) };
+    notifySubscribers(alertType, render, options);
+    const routed = (SEVERITY_CHANNELS[severity] || ['telegram']).filter(name => notifiers[name]?.enabled);
+    const results = await Promise.allSettled(routed.map(name => notifiers[name].send(text, options)));
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') console.error(`Failed to send ${alertType} via ${routed[i]}: ${result.reason?.response?.body || result.reason?.message}`);
+    });
+    if (results.some(result => result.status === 'fulfilled')) return;
+    for (const [name, channel] of Object.entries(notifiers)) {
+        if (routed.includes(name) || !channel.enabled) continue;
+        try { await channel.send(text, options); console.log(`${alertType} delivered via fallback channel ${name}.`); return; }
+        catch (e) { console.error(`Fallback channel ${name} failed for ${alertType}: ${e.message}`); }
+    }
+}
+
+// --- Outbound publishers (webhook / MQTT) ---
+// Live snapshots are best-effort (retried in-process); events go through the persisted `state.outbox` until every target accepted them.
+const publishers = {
+    webhook: {
+        enabled: !!WEBHOOK_URL,
+        publish: (message) => axios.post(WEBHOOK_URL, message, { timeout: 10000, headers: WEBHOOK_TOKEN ? { Authorization: `Bearer ${WEBHOOK_TOKEN}` } : {} })
+    },
+    mqtt: {
+        enabled: !!MQTT_URL,
+        client: null,
+        // Called at startup, so the connection is usually up before the first event; publish() also waits for it.
+        connect() {
+            if (!this.client) {
+                this.client = mqtt.connect(MQTT_URL, { username: MQTT_USER, password: MQTT_PASSWORD, queueQoSZero: false, reconnectPeriod: 30000 });
+                this.client.on('error', e => console.error(`MQTT error: ${e.message}`));
+            }
+            if (this.client.connected) return Promise.resolve();
+            // A refused or dropped connection fails right away; the client keeps reconnecting in the background.
+            return new Promise((resolve, reject) => {
+                const done = (error) => {
+                    clearTimeout(timer);
+                    this.client.off('connect', onConnect).off('error', onFailure).off('close', onFailure);
+                    if (error) reject(error); else resolve();
+                };
+                const onConnect = () => done();
+                const onFailure = (e) => done(new Error(`MQTT broker not connected${e ? ` (${e.message})` : ''}`));
+                const timer = setTimeout(onFailure, MQTT_TIMEOUT_MS);
+                this.client.on('connect', onConnect).on('error', onFailure).on('close', onFailure);
+            });
+        },
+        async publish(message) {
+            await this.connect();
+            const topic = message.type === 'snapshot' ? `${MQTT_TOPIC_PREFIX}/${message.sn}/state` : `${MQTT_TOPIC_PREFIX}/events/${message.event}`;
+            let timer;
+            const timeout = new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error('MQTT broker did not acknowledge the message')), MQTT_TIMEOUT_MS); });
+            try { await Promise.race([this.client.publishAsync(topic, JSON.stringify(message), { qos: 1, retain: message.type === 'snapshot' }), timeout]); }
+            finally { clearTimeout(timer); }
+        }
+    }
+};
+
+function hasPublishers() { return Object.values(publishers).some(publisher => publisher.enabled); }
+
+async function publishWithRetry(name, message) {
+    for (let attempt = 1; attempt <= PUBLISH_RETRIES; attempt++) {
+        try { return await publishers[name].publish(message); }
+        catch (e) {
+            if (attempt === PUBLISH_RETRIES) throw e;
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+        }
+    }
+}
+
+function buildSnapshot(entry) {
+    const { plantId, plant, sn, device } = entry;
+    const toNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+    return {
+        type: 'snapshot', plantId, plantName: plant.plantName || null, sn, alias: device.deviceData?.alias || null,
+        pac: toNumber(device.historyLast?.pac), vacr: toNumber(device.historyLast?.vacr), temperature: toNumber(device.historyLast?.temperature),
+        eToday: toNumber(device.deviceData?.eToday), eTotal: toNumber(device.deviceData?.eTotal ?? device.totalData?.eTotal),
+        lastUpdateTime: device.deviceData?.lastUpdateTime || null, timestamp: new Date().toISOString()
+    };
+}
+
+function publishSnapshot(data) {
+    if (!hasPublishers()) return;
+    for (const entry of getDeviceEntries(data)) {
+        const snapshot = buildSnapshot(entry);
+        for (const [name, publisher] of Object.entries(publishers)) {
+            if (!publisher.enabled) continue;
+            publishWithRetry(name, snapshot).catch(e => console.error(`Failed to publish snapshot for ${entry.sn} via ${name}: ${e.message}`));
+        }
+    }
+}
+
+function publishEvent(event, details = {}) {
+    if (!hasPublishers()) return;
+    const targets = Object.keys(publishers).filter(name => publishers[name].enabled);
+    state.outbox.push({ id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, message: { type: 'event', event, ...details, timestamp: new Date().toISOString() }, pending: targets, attempts: 0, nextAttemptAt: null });
+    if (state.outbox.length > OUTBOX_MAX_EVENTS) {
+        console.error(`Outbox full, dropping ${state.outbox.length - OUTBOX_MAX_EVENTS} oldest event(s).`);
+        state.outbox.splice(0, state.outbox.length - OUTBOX_MAX_EVENTS);
+    }
+    saveState();
+    flushOutbox();
+}
+
+let outboxFlushing = false;
+async function flushOutbox() {
+    if (outboxFlushing || state.outbox.length === 0) return;
+    outboxFlushing = true;
+    let changed = false;
+    const failedTargets = new Set(); // A target that failed is not tried again until the next flush.
+    try {
+        for (const item of [...state.outbox]) {
+            if (item.nextAttemptAt && new Date(item.nextAttemptAt) > new Date()) continue;
+            changed = true;
+            item.pending = item.pending.filter(name => publishers[name]?.enabled);
+            const targets = item.pending.filter(name => !failedTargets.has(name));
+            const results = await Promise.allSettled(targets.map(name => publishers[name].publish(item.message)));
+            results.forEach((result, i) => {
+                if (result.status === 'fulfilled') {
+                    item.pending = item.pending.filter(target => target !== targets[i]);
+                } else {
+                    failedTargets.add(targets[i]);
+                    console.error(`Outbox: ${item.message.event} via ${targets[i]} failed: ${result.reason.message}`);
+                }
+            });
+            if (item.pending.length === 0) {
+                state.outbox = state.outbox.filter(other => other.id !== item.id);
+            } else {
+                item.attempts += 1;
+                item.nextAttemptAt = new Date(Date.now() + Math.min(60, 2 ** item.attempts) * 60000); // Back off up to an hour.
+            }
+        }
+        if (changed) saveState(); // Items still backing off leave the state as it was.
+    } finally { outboxFlushing = false; }
+}
+
+function escapeHtml(text) { return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); }
+
+// Renders the Telegram (legacy) Markdown subset used by the language files.
+function markdownToHtml(text) {
+    // Code and links are set aside before emphasis, so `*` and `_` in URLs and identifiers are left alone.
+    const setAside = [];
+    const keep = html => `\u0000${setAside.push(html) - 1}\u0000`;
+    const html = escapeHtml(text)
+        .replace(/```([\s\S]*?)```/g, (match, code) => keep(`<pre>${code}</pre>`))
+        .replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${code}</code>`))
+        .replace(/\[([^\]]+)\]\((https?:[^)\s]+)\)/g, (match, label, url) => keep(`<a href="${url}">${label}</a>`))
+        .replace(/\*([^*\n]+)\*/g, '<b>$1</b>')
+        .replace(/_([^_\n]+)_/g, '<i>$1</i>')
+        .replace(/\n/g, '<br>\n')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => setAside[index]);
+    return `<div style="font-family: sans-serif; line-height: 1.4">${html}</div>`;
+}
+
+// --- Personal subscriptions ---
+// state.subscribers[chatId] = { userId, name, language, categories: [...], onCall }. Alerts are sent to private chats only.
+function getAlertCategory(alertType) {
+    return Object.keys(ALERT_CATEGORIES).find(category => ALERT_CATEGORIES[category].includes(alertType)) || null;
+}
+
+function getOnCallSubscribers() { return Object.values(state.subscribers).filter(subscriber => subscriber.onCall); }
+
+async function notifySubscribers(alertType, render, options = {}) {
+    const category = getAlertCategory(alertType);
+    if (!category) return;
+    for (const [chatId, subscriber] of Object.entries(state.subscribers)) {
+        const wantsAlert = subscriber.categories.includes(category) || (category === 'urgent' && subscriber.onCall);
+        if (!wantsAlert) continue;
+        try { await notifiers.telegram.send(render(subscriber.language), { ...options, chatId, lang: subscriber.language }); }
+        catch (e) {
+            console.error(`Failed to send ${alertType} to subscriber ${subscriber.name}: ${e.response?.body?.description || e.message}`);
+            // 403 means the user blocked the bot or deleted the chat; keep the list clean instead of failing every alert.
+            if (e.response?.statusCode === 403) { delete state.subscribers[chatId]; saveState(); }
+        }
+    }
+}
+
+// Markdown mentions of on-call subscribers for the group message; tg:// links notify users even without a public username.
+function formatOnCallMentions(lang) {
+    const onCall = getOnCallSubscribers();
+    if (onCall.length === 0) return t('URGENT_NO_ONCALL', lang);
+    return onCall.map(subscriber => `[${subscriber.name.replace(/[[\]*_`]/g, '')}](tg://user?id=${subscriber.userId})`).join(' ');
+}
+
+function stripMarkdown(text) { return text.replace(/```/g, '').replace(/[*_`]/g, '').replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)'); }
+
+async function isAdmin(userId) {
+    try {
+        const admins = await bot.getChatAdministrators(TELEGRAM_GROUP_ID);
+        return admins.some(admin => admin.user.id === userId);
+    } catch (e) { return false; }
+}
+
+// Commands from outside the group (private chats) are only accepted from members of the group.
+async function isGroupMember(userId) {
+    try {
+        const member = await bot.getChatMember(TELEGRAM_GROUP_ID, userId);
+        return ['creator', 'administrator', 'member', 'restricted'].includes(member.status);
+    } catch (e) { return false; }
+}
+
+// --- Runtime configuration ---
+function getConfigDefaults() {
+    return { ...Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default])), tariffs: [] };
+}
+
+function findConfigKey(name) {
+    return Object.keys(CONFIG_SCHEMA).find(key => key.toLowerCase() === String(name || '').toLowerCase()) || null;
+}
+
+// Returns { value } or { error, variables } with a translation key describing what was expected.
+function parseConfigValue(key, raw) {
+    const spec = CONFIG_SCHEMA[key];
+    const text = String(raw ?? '').trim();
+    let value;
+    if (spec.nullable && text.toLowerCase() === 'off') return { value: null };
+    if (spec.type === 'enum') {
+        value = text.toLowerCase();
+        if (!spec.values.includes(value)) return { error: 'ERROR_CONFIG_ENUM', variables: { values: spec.values.join(', ') } };
+    } else if (spec.type === 'string') {
+        value = text;
+        if (!value || value.length > spec.maxLength || value.includes('`')) return { error: 'ERROR_CONFIG_STRING', variables: { max: spec.maxLength } };
+    } else if (spec.type === 'number' || spec.type === 'integer') {
+        value = Number(text.replace(',', '.'));
+        if (!text || isNaN(value) || (spec.type === 'integer' && !Number.isInteger(value))) return { error: spec.type === 'integer' ? 'ERROR_CONFIG_INTEGER' : 'ERROR_CONFIG_NUMBER' };
+        if (value < spec.min || value > spec.max) return { error: 'ERROR_CONFIG_RANGE', variables: { min: spec.min, max: spec.max } };
+    } else if (spec.type === 'timeRange') {
+        const match = text.match(/^([01]?\d|2[0-3]):([0-5]\d)-([01]?\d|2[0-3]):([0-5]\d)$/);
+        if (!match) return { error: 'ERROR_CONFIG_TIME_RANGE' };
+        value = { start: `${match[1].padStart(2, '0')}:${match[2]}`, end: `${match[3].padStart(2, '0')}:${match[4]}` };
+        if (value.start === value.end) return { error: 'ERROR_CONFIG_TIME_RANGE' };
+    }
+    return checkConfigValue(key, value);
+}
+
+// Cross-checks a value against the other settings (e.g. the monitoring window). Resets to the default go through it too.
+function checkConfigValue(key, value) {
+    const error = CONFIG_SCHEMA[key].validate?.(value, state.config);
+    return error ? { error, variables: {} } : { value };
+}
+
+function formatConfigValue(key, value, lang) {
+    if (value === null || value === undefined) return t('CONFIG_OFF', lang);
+    if (key === 'tariffs') return t('CONFIG_TARIFF_VERSIONS', lang, { count: value.length });
+    if (CONFIG_SCHEMA[key]?.type === 'timeRange') return `${value.start}-${value.end}`;
+    return String(value);
+}
+
+function describeConfigRange(spec) {
+    const range = spec.type === 'enum' ? spec.values.join('|')
+        : spec.type === 'string' ? `≤${spec.maxLength}`
+        : spec.type === 'timeRange' ? 'HH:mm-HH:mm'
+        : `${spec.min}–${spec.max}`;
+    return spec.nullable ? `${range}|off` : range;
+}
+
+// Every change made from Telegram lands in the append-only state.configAudit log.
+function recordConfigChange(msg, key, previous, value, action = 'set') {
+    state.configAudit.push({
+        time: new Date().toISOString(), action, key, previous: previous ?? null, value: value ?? null,
+        userId: msg.from.id, userName: msg.from.first_name || msg.from.username || null
+    });
+}
+
+function updateConfig(msg, key, value, action = 'set') {
+    const previous = state.config[key];
+    state.config[key] = value;
+    recordConfigChange(msg, key, previous, value, action);
+    CONFIG_SCHEMA[key].onChange?.(value, previous);
+    saveState();
+    return previous;
+}
+
+// Validates and applies one setting, replying with the validation error if there is one. Returns { value, previous } on success.
+function setConfigFromCommand(msg, lang, key, raw) {
+    const result = parseConfigValue(key, raw);
+    if (result.error) {
+        formatMarkdown(t(result.error, lang, { key, ...result.variables }), msg.chat.id);
+        return null;
+    }
+    return { value: result.value, previous: updateConfig(msg, key, result.value) };
+}
+
+// --- Plant & device selection ---
+function getDeviceEntries(data) {
+    const entries = [];
+    for (const [plantId, plant] of Object.entries(data || {})) {
+        for (const [sn, device] of Object.entries(plant.devices || {})) {
+            entries.push({ plantId, sn, plant, device });
+        }
+    }
+    return entries;
+}
+
+// A selector matches a plant id or name, or an inverter serial number or alias (case-insensitive).
+function selectDeviceEntries(data, selector) {
+    const entries = getDeviceEntries(data);
+    if (!selector) return entries;
+    const wanted = selector.toLowerCase();
+    const plantMatches = entries.filter(({ plantId, plant }) => plantId.toLowerCase() === wanted || (plant.plantName || '').toLowerCase() === wanted);
+    if (plantMatches.length > 0) return plantMatches;
+    return entries.filter(({ sn, device }) => sn.toLowerCase() === wanted || (device.deviceData?.alias || '').toLowerCase() === wanted);
+}
+
+function getDeviceLabel({ plant, sn, device }) {
+    const deviceName = device.deviceData?.alias || sn;
+    return plant.plantName ? `${plant.plantName} / ${deviceName}` : deviceName;
+}
+
+function isMultiDevice(data) { return getDeviceEntries(data).length > 1; }
+
+// Lifetime kWh for a selection: plant-level totals when a whole plant is selected, inverter totals otherwise.
+function getLifetimeKwh(entries) {
+    let total = 0;
+    const plantIds = [...new Set(entries.map(entry => entry.plantId))];
+    for (const plantId of plantIds) {
+        const plantEntries = entries.filter(entry => entry.plantId === plantId);
+        const plant = plantEntries[0].plant;
+        const wholePlant = plantEntries.length === Object.keys(plant.devices || {}).length;
+        if (wholePlant && plant.plantData?.eTotal !== undefined) {
+            total += parseFloat(plant.plantData.eTotal) || 0;
+        } else {
+            total += plantEntries.reduce((sum, entry) => sum + getDeviceLifetimeKwh(entry), 0);
+        }
+    }
+    return total;
+}
+
+function getDeviceLifetimeKwh({ device }) { return parseFloat(device.deviceData?.eTotal ?? device.totalData?.eTotal) || 0; }
+function getDeviceTodayKwh({ device }) { return parseFloat(device.deviceData?.eToday) || 0; }
+
+function withDeviceLabel(text, label, multiDevice) { return multiDevice ? `*[${label}]*\n${text}` : text; }
+
+function replySelectorNotFound(data, selector, lang, chatId) {
+    const available = getDeviceEntries(data).map(entry => `\`${entry.plant.plantName || entry.plantId}\` / \`${entry.device.deviceData?.alias || entry.sn}\``).join(', ');
+    formatMarkdown(t('ERROR_SELECTOR_NOT_FOUND', lang, { selector, available }), chatId);
+}
+
+// =================================================================
+// --- 🗄️ 3. PRODUCTION HISTORY STORE ---
+// =================================================================
+// state.history.days[yyyy-MM-dd][deviceSn] = { kwh, peakW, final }
+// state.history.months[yyyy-MM][deviceSn] = kWh (days rolled up by the retention policy)
+// Days of rolled-up months fetched again for a day-level query are kept in memory only, so they are neither stored twice
+// nor requested from the portal on every query.
+const rolledUpDays = {};
+
+function recordDayProduction(dateStr, sn, { kwh, peakW = null, final = false }) {
+    const day = state.history.days[dateStr] || (state.history.days[dateStr] = {});
+    if (sn !== LEGACY_DEVICE_KEY) delete day[LEGACY_DEVICE_KEY]; // Real per-inverter data supersedes a migrated total.
+    const previous = day[sn];
+    const peaks = [previous?.peakW, peakW].filter(value => typeof value === 'number' && !isNaN(value));
+    day[sn] = {
+        kwh: Math.round((parseFloat(kwh) || 0) * 100) / 100,
+        peakW: peaks.length > 0 ? Math.max(...peaks) : null,
+        final: final || !!previous?.final
+    };
+}
+
+// `sns` restricts the total to a set of inverters; legacy records cannot be attributed to one, so they only count for the aggregate.
+function getStoredDayTotal(dateStr, sns = null) {
+    const day = state.history.days[dateStr] || rolledUpDays[dateStr];
+    if (!day) return null;
+    const records = Object.entries(day);
+    if (records.length === 0 || !records.every(([, record]) => record.final)) return null;
+    if (sns && day[LEGACY_DEVICE_KEY]) return null;
+    return records.filter(([sn]) => !sns || sns.includes(sn)).reduce((sum, [, record]) => sum + record.kwh, 0);
+}
+
+function getRolledUpMonthTotal(monthStr, sns = null) {
+    const month = state.history.months[monthStr];
+    if (!month || (sns && month[LEGACY_DEVICE_KEY] !== undefined)) return null;
+    return Object.entries(month).filter(([sn]) => !sns || sns.includes(sn)).reduce((sum, [, kwh]) => sum + kwh, 0);
+}
+
+async function fetchDayProduction(date, sns = null) {
+    const dateStr = format(date, 'yyyy-MM-dd');
+    const isPastDay = dateStr < format(new Date(), 'yyyy-MM-dd');
+    const data = await getGrowattData(isPastDay, date);
+    const entries = getDeviceEntries(data);
+    const rolledUp = !!state.history.months[format(date, 'yyyy-MM')];
+    let total = 0;
+    for (const { sn, device } of entries) {
+        const kwh = parseFloat(device.historyLast?.eacToday || 0);
+        if (!sns || sns.includes(sn)) total += kwh;
+        if (!rolledUp) recordDayProduction(dateStr, sn, { kwh, final: isPastDay });
+        else if (isPastDay) (rolledUpDays[dateStr] || (rolledUpDays[dateStr] = {}))[sn] = { kwh: Math.round(kwh * 100) / 100, peakW: null, final: true };
+    }
+    if (entries.length > 0 && !rolledUp) saveState();
+    return total;
+}
+
+function pruneHistory(referenceDate = new Date()) {
+    const retentionDays = state.config.historyRetentionDays;
+    if (!retentionDays || retentionDays <= 0) return;
+    const cutoffStr = format(subDays(referenceDate, retentionDays), 'yyyy-MM-dd');
+    const monthsToRollUp = new Set();
+    for (const dateStr of Object.keys(state.history.days)) {
+        const monthEndStr = format(endOfMonth(parseISO(dateStr)), 'yyyy-MM-dd');
+        if (monthEndStr < cutoffStr) monthsToRollUp.add(dateStr.slice(0, 7));
+    }
+    for (const monthStr of monthsToRollUp) {
+        // A month with missing or unfinished days stays as days: queries fetch the gaps, and a later pass rolls it up.
+        const monthDays = eachDayOfInterval({ start: parseISO(`${monthStr}-01`), end: endOfMonth(parseISO(`${monthStr}-01`)) });
+        if (!monthDays.every(day => state.history.days[format(day, 'yyyy-MM-dd')] && getStoredDayTotal(format(day, 'yyyy-MM-dd')) !== null)) continue;
+        const totals = { ...state.history.months[monthStr] };
+        for (const [dateStr, devices] of Object.entries(state.history.days)) {
+            if (!dateStr.startsWith(monthStr)) continue;
+            for (const [sn, record] of Object.entries(devices)) {
+                totals[sn] = Math.round(((totals[sn] || 0) + record.kwh) * 100) / 100;
+            }
+            delete state.history.days[dateStr];
+        }
+        state.history.months[monthStr] = totals;
+        console.log(`History: rolled up ${monthStr} into a monthly total.`);
+    }
+}
+
+// =================================================================
+// --- 💰 4. TARIFFS & SAVINGS ---
+// =================================================================
+// state.config.tariffs is a list of versions, each applying from its `effectiveFrom` date until the next one:
+//   { effectiveFrom: 'yyyy-MM-dd', baseRate, bands: [{ name, start: 'HH:mm', end: 'HH:mm', rate }],
+//     tiers: [{ upToKwh (null = no limit), rate }], feedInRate, selfConsumptionRatio, monthlyConsumptionKwh }
+// Self-consumed energy produced inside a time-of-use band is worth that band's rate; the rest avoids grid energy priced
+// by the monthly tiers (or baseRate), taken from the top block down when the household's monthly consumption is known.
+// Energy that is not self-consumed, or that exceeds that monthly consumption, is exported at feedInRate.
+// Without an explicit tariff, the flat costPerKwh applies.
+const SOLAR_DAY_START_HOUR = 6;
+const SOLAR_DAY_END_HOUR = 18;
+
+function createTariffVersion(effectiveFrom, baseRate) {
+    return { effectiveFrom, baseRate, bands: [], tiers: [], feedInRate: 0, selfConsumptionRatio: 1, monthlyConsumptionKwh: null };
+}
+
+function getTariffVersions() {
+    if (state.config.tariffs.length > 0) return state.config.tariffs;
+    return [createTariffVersion('1970-01-01', state.config.costPerKwh)];
+}
+
+function getTariffFor(dateStr) {
+    const versions = getTariffVersions();
+    return versions.filter(version => version.effectiveFrom <= dateStr).pop() || versions[0];
+}
+
+// Share of a day's solar energy produced between two hours, assuming a sine-shaped production curve.
+function solarEnergyShare(fromHour, toHour) {
+    const cumulative = (hour) => {
+        const clamped = Math.min(SOLAR_DAY_END_HOUR, Math.max(SOLAR_DAY_START_HOUR, hour));
+        return (1 - Math.cos(Math.PI * (clamped - SOLAR_DAY_START_HOUR) / (SOLAR_DAY_END_HOUR - SOLAR_DAY_START_HOUR))) / 2;
+    };
+    return cumulative(toHour) - cumulative(fromHour);
+}
+
+function parseHour(hhmm) { const [hours, minutes] = hhmm.split(':').map(Number); return hours + (minutes || 0) / 60; }
+
+function getBandShare(band) {
+    const start = parseHour(band.start), end = parseHour(band.end);
+    return start <= end ? solarEnergyShare(start, end) : solarEnergyShare(start, 24) + solarEnergyShare(0, end);
+}
+
+function tierCost(kwh, version) {
+    if (version.tiers.length === 0) return kwh * version.baseRate;
+    let cost = 0, lower = 0;
+    for (const tier of version.tiers) {
+        const upper = tier.upToKwh ?? Infinity;
+        cost += Math.max(0, Math.min(kwh, upper) - lower) * tier.rate;
+        lower = upper;
+        if (kwh <= upper) return cost;
+    }
+    return cost + (kwh - lower) * version.baseRate; // Beyond the last bounded tier.
+}
+
+// Money value of `kwh` produced on `dateStr`, given how much was already produced earlier in the same month.
+function valueProduction(dateStr, kwh, priorMonthKwh = 0) {
+    const version = getTariffFor(dateStr);
+    const selfRatio = version.selfConsumptionRatio ?? 1;
+    const bandShares = version.bands.map(band => ({ rate: band.rate, share: getBandShare(band) }));
+    const offBandShare = Math.max(0, 1 - bandShares.reduce((sum, band) => sum + band.share, 0));
+    const selfUsed = kwh * selfRatio;
+    const bandValue = bandShares.reduce((sum, band) => sum + selfUsed * band.share * band.rate, 0);
+    const offBand = selfUsed * offBandShare;
+    const priorOffBand = priorMonthKwh * selfRatio * offBandShare;
+    let gridValue;
+    if (version.monthlyConsumptionKwh) {
+        const remaining = Math.max(0, version.monthlyConsumptionKwh - priorOffBand);
+        gridValue = tierCost(remaining, version) - tierCost(Math.max(0, remaining - offBand), version) + Math.max(0, offBand - remaining) * (version.feedInRate || 0);
+    } else {
+        gridValue = tierCost(priorOffBand + offBand, version) - tierCost(priorOffBand, version);
+    }
+    return bandValue + gridValue + (kwh - selfUsed) * (version.feedInRate || 0);
+}
+
+// Month-to-date production recorded before `dateStr`, used to position a day within the monthly tiers.
+function getStoredMonthToDate(dateStr, sns = null) {
+    let total = 0;
+    for (const day of eachDayOfInterval({ start: startOfMonth(parseISO(dateStr)), end: parseISO(dateStr) })) {
+        const dayStr = format(day, 'yyyy-MM-dd');
+        if (dayStr >= dateStr) break;
+        total += getStoredDayTotal(dayStr, sns) || 0;
+    }
+    return total;
+}
+
+// Values rows of { date: 'yyyy-MM-dd' | 'yyyy-MM', kwh } in date order; returns the total and the value of each row.
+function computeSavings(rows, sns = null) {
+    const monthToDate = {};
+    const values = rows.map(row => {
+        if (row.date.length === 7) return valueProduction(`${row.date}-01`, row.kwh, 0);
+        const monthStr = row.date.slice(0, 7);
+        if (monthToDate[monthStr] === undefined) monthToDate[monthStr] = getStoredMonthToDate(row.date, sns);
+        const value = valueProduction(row.date, row.kwh, monthToDate[monthStr]);
+        monthToDate[monthStr] += row.kwh;
+        return value;
+    });
+    return { total: values.reduce((sum, value) => sum + value, 0), values };
+}
+
+// Lifetime savings from the history store; energy produced before the store began is valued at the average realised rate.
+function computeLifetimeSavings(lifetimeKwh, sns = null) {
+    const rows = [];
+    for (const monthStr of Object.keys(state.history.months).sort()) {
+        const kwh = getRolledUpMonthTotal(monthStr, sns);
+        if (kwh) rows.push({ date: monthStr, kwh });
+    }
+    for (const dateStr of Object.keys(state.history.days).sort()) {
+        const kwh = getStoredDayTotal(dateStr, sns);
+        if (kwh) rows.push({ date: dateStr, kwh });
+    }
+    const { total } = computeSavings(rows, sns);
+    const recordedKwh = rows.reduce((sum, row) => sum + row.kwh, 0);
+    const averageRate = recordedKwh > 0 ? total / recordedKwh : valueProduction(format(new Date(), 'yyyy-MM-dd'), 1);
+    return total + Math.max(0, lifetimeKwh - recordedKwh) * averageRate;
+}
+
+function formatTariff(version, lang) {
+    const lines = [t('TARIFF_VERSION_HEADER', lang, { date: version.effectiveFrom, baseRate: version.baseRate, symbol: state.config.currencySymbol })];
+    version.bands.forEach(band => lines.push(t('TARIFF_BAND_LINE', lang, { name: band.name, start: band.start, end: band.end, rate: band.rate })));
+    version.tiers.forEach(tier => lines.push(t('TARIFF_TIER_LINE', lang, { upTo: tier.upToKwh ?? '∞', rate: tier.rate })));
+    lines.push(t('TARIFF_EXTRAS_LINE', lang, { feedIn: version.feedInRate || 0, selfUse: Math.round((version.selfConsumptionRatio ?? 1) * 100), consumption: version.monthlyConsumptionKwh ?? '-' }));
+    return lines.join('\n');
+}
+
+// =================================================================
+// --- 📉 5. EXPECTED YIELD & PERFORMANCE ---
+// =================================================================
+// The baseline is a "sunny day" yield: the 90th percentile of past days around the same calendar date
+// (previous years first, the last weeks as a fallback). It is scaled by the weather observed during the day.
+// state.history.performance[yyyy-MM-dd] = { weatherFactor, weatherSamples, expectedKwh, actualKwh, ratio, sunnyRatio }
+const BASELINE_WINDOW_DAYS = 15;
+const BASELINE_MIN_SAMPLES = 7;
+const PERFORMANCE_DAYS_TO_KEEP = 60;
+const CLEANING_SUNNY_DAYS = 5;
+const SUNNY_WEATHER_FACTOR = 0.9;
+
+// HeWeather condition codes: 1xx sun/clouds, 2xx wind, 3xx rain, 4xx snow, 5xx fog/haze/dust.
+function getWeatherFactor(condCode) {
+    const code = parseInt(condCode, 10);
+    const exact = { 100: 1, 102: 0.85, 103: 0.75, 101: 0.55, 104: 0.4 };
+    if (exact[code] !== undefined) return exact[code];
+    if (code >= 200 && code < 300) return 0.9;
+    if (code >= 300 && code < 400) return 0.3;
+    if (code >= 400 && code < 500) return 0.2;
+    if (code >= 500 && code < 600) return 0.6;
+    return null;
+}
+
+function getPlantWeatherFactor(plant) { return getWeatherFactor(plant?.weather?.data?.HeWeather6?.[0]?.now?.cond_code); }
+
+// Daytime weather is sampled by the hourly check; the evening check uses the day's average.
+function recordWeatherSample(dateStr, factor) {
+    if (factor === null) return;
+    const day = state.history.performance[dateStr] || (state.history.performance[dateStr] = { weatherSamples: 0, weatherFactor: null });
+    day.weatherFactor = ((day.weatherFactor || 0) * day.weatherSamples + factor) / (day.weatherSamples + 1);
+    day.weatherSamples += 1;
+}
+
+// Final daily kWh for one inverter (or all of them when `sn` is null), including migrated records on single-inverter setups.
+function getDailyYield(dateStr, sn, singleDevice) {
+    const day = state.history.days[dateStr];
+    if (!day) return null;
+    if (!sn) return getStoredDayTotal(dateStr);
+    const record = day[sn] || (singleDevice ? day[LEGACY_DEVICE_KEY] : null);
+    return record?.final ? record.kwh : null;
+}
+
+function percentile(values, fraction) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+function getSunnyDayBaseline(dateStr, sn = null, singleDevice = true) {
+    const date = parseISO(dateStr);
+    const collect = (days) => days.map(day => getDailyYield(format(day, 'yyyy-MM-dd'), sn, singleDevice)).filter(kwh => kwh > 0);
+    let samples = [];
+    for (let yearsBack = 1; yearsBack <= 5; yearsBack++) {
+        const center = subMonths(date, yearsBack * 12);
+        samples.push(...collect(eachDayOfInterval({ start: subDays(center, BASELINE_WINDOW_DAYS), end: addDays(center, BASELINE_WINDOW_DAYS) })));
+    }
+    if (samples.length < BASELINE_MIN_SAMPLES) {
+        samples = collect(eachDayOfInterval({ start: subDays(date, BASELINE_WINDOW_DAYS * 2), end: subDays(date, 1) }));
+    }
+    return samples.length >= BASELINE_MIN_SAMPLES ? percentile(samples, 0.9) : null;
+}
+
+function getWeatherLabel(factor, lang) {
+    if (factor >= SUNNY_WEATHER_FACTOR) return t('WEATHER_SUNNY', lang);
+    if (factor >= 0.5) return t('WEATHER_PARTLY_CLOUDY', lang);
+    return t('WEATHER_OVERCAST', lang);
+}
+
+// Average ratio of actual to baseline yield over the most recent sunny days, or null without enough of them.
+// Only days after the last cleaning (or cleaning reminder) count: earlier ones describe panels that have since been cleaned.
+function getRecentSunnyRatio() {
+    const cleanedStr = format(new Date(state.stats.lastReminderDate), 'yyyy-MM-dd');
+    const ratios = Object.keys(state.history.performance).filter(dateStr => dateStr > cleanedStr).sort().reverse()
+        .map(dateStr => state.history.performance[dateStr].sunnyRatio)
+        .filter(ratio => typeof ratio === 'number')
+        .slice(0, CLEANING_SUNNY_DAYS);
+    return ratios.length >= CLEANING_SUNNY_DAYS ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length : null;
+}
+
+function prunePerformance(referenceDate = new Date()) {
+    const cutoffStr = format(subDays(referenceDate, PERFORMANCE_DAYS_TO_KEEP), 'yyyy-MM-dd');
+    for (const dateStr of Object.keys(state.history.performance)) {
+        if (dateStr < cutoffStr) delete state.history.performance[dateStr];
+    }
+}
+
+// Evening analysis: one underperformance alert per inverter falling short, plus the plant-wide sunny-day ratio for cleaning advice.
+function checkPerformance(entries, todayStr) {
+    const performance = state.history.performance[todayStr] || (state.history.performance[todayStr] = { weatherSamples: 0, weatherFactor: null });
+    const weatherFactor = performance.weatherFactor ?? getPlantWeatherFactor(entries[0]?.plant) ?? 1;
+    const singleDevice = entries.length === 1;
+    for (const entry of entries) {
+        const baseline = getSunnyDayBaseline(todayStr, entry.sn, singleDevice);
+        if (!baseline) continue;
+        const expectedKwh = baseline * weatherFactor;
+        const actualKwh = getDeviceTodayKwh(entry);
+        if (actualKwh < expectedKwh * UNDERPERFORMANCE_THRESHOLD) {
+            const percent = Math.round((actualKwh / expectedKwh) * 100);
+            notify('UNDERPERFORMANCE_ALERT', lang => withDeviceLabel(t('UNDERPERFORMANCE_ALERT', lang, { kwh: actualKwh.toFixed(2), expected: expectedKwh.toFixed(2), percent, weather: getWeatherLabel(weatherFactor, lang) }), getDeviceLabel(entry), !singleDevice));
+            publishEvent('underperformance', { sn: entry.sn, device: getDeviceLabel(entry), actualKwh, expectedKwh: +expectedKwh.toFixed(2), weatherFactor: +weatherFactor.toFixed(2) });
+        }
+    }
+    const plantBaseline = getSunnyDayBaseline(todayStr);
+    if (plantBaseline) {
+        const actualKwh = entries.reduce((sum, entry) => sum + getDeviceTodayKwh(entry), 0);
+        Object.assign(performance, { weatherFactor, expectedKwh: +(plantBaseline * weatherFactor).toFixed(2), actualKwh, ratio: +(actualKwh / (plantBaseline * weatherFactor)).toFixed(3) });
+        if (weatherFactor >= SUNNY_WEATHER_FACTOR) performance.sunnyRatio = +(actualKwh / plantBaseline).toFixed(3);
+    }
+    prunePerformance();
+}
+
+// --- Solar position & monitoring window ---
+// NOAA's low-accuracy solar equations (good to about a minute for sunrise/sunset) and the Haurwitz clear-sky model.
+// Without a configured location the fixed checkHourStart..checkHourEnd window is used instead.
+const SUNRISE_ZENITH_DEG = 90.833; // Geometric horizon plus refraction and the solar disc radius.
+const OUTAGE_MIN_IRRADIANCE_WM2 = 120; // Below this clear-sky irradiance (about 9° of sun elevation) zero output is tolerated.
+
+function getSolarTerms(date) {
+    const dayOfYear = Math.floor((Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - Date.UTC(date.getUTCFullYear(), 0, 0)) / 86400000);
+    const gamma = (2 * Math.PI / 365) * (dayOfYear - 1 + (date.getUTCHours() - 12) / 24);
+    const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+    const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+    return { equationOfTime, declination };
+}
+
+// Sun elevation in degrees at `date` for the given coordinates.
+function getSunElevation(date, latitude, longitude) {
+    const { equationOfTime, declination } = getSolarTerms(date);
+    const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+    const hourAngle = ((utcMinutes + equationOfTime + 4 * longitude) / 4 - 180) * Math.PI / 180;
+    const lat = latitude * Math.PI / 180;
+    const cosZenith = Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+    return 90 - Math.acos(Math.min(1, Math.max(-1, cosZenith))) * 180 / Math.PI;
+}
+
+// Sunrise and sunset for the calendar day of `date`, or `{ polar: 'night' | 'day' }` when the sun never crosses the horizon.
+function getSunTimes(date, latitude, longitude) {
+    const noon = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12));
+    const { equationOfTime, declination } = getSolarTerms(noon);
+    const lat = latitude * Math.PI / 180;
+    const cosHourAngle = Math.cos(SUNRISE_ZENITH_DEG * Math.PI / 180) / (Math.cos(lat) * Math.cos(declination)) - Math.tan(lat) * Math.tan(declination);
+    if (cosHourAngle > 1) return { polar: 'night' };
+    if (cosHourAngle < -1) return { polar: 'day' };
+    const hourAngle = Math.acos(cosHourAngle) * 180 / Math.PI;
+    const dayStartUtc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    return {
+        sunrise: new Date(dayStartUtc + (720 - 4 * (longitude + hourAngle) - equationOfTime) * 60000),
+        sunset: new Date(dayStartUtc + (720 - 4 * (longitude - hourAngle) - equationOfTime) * 60000)
+    };
+}
+
+// Haurwitz clear-sky global horizontal irradiance in W/m².
+function getClearSkyIrradiance(elevation) {
+    const cosZenith = Math.sin(elevation * Math.PI / 180);
+    return cosZenith > 0 ? 1098 * cosZenith * Math.exp(-0.057 / cosZenith) : 0;
+}
+
+function hasPlantLocation() { return typeof state.config.latitude === 'number' && typeof state.config.longitude === 'number'; }
+
+// `isDaylight`: run the hourly checks at all. `productionExpected`: enough sun that zero output or stale data is a fault.
+function getMonitoringWindow(date = new Date()) {
+    if (!hasPlantLocation()) {
+        const hour = date.getHours();
+        const inWindow = hour >= state.config.checkHourStart && hour <= state.config.checkHourEnd;
+        return { isDaylight: inWindow, productionExpected: inWindow, irradiance: null };
+    }
+    const elevation = getSunElevation(date, state.config.latitude, state.config.longitude);
+    const irradiance = getClearSkyIrradiance(elevation);
+    return { isDaylight: elevation > -(SUNRISE_ZENITH_DEG - 90), productionExpected: irradiance >= OUTAGE_MIN_IRRADIANCE_WM2, irradiance: Math.round(irradiance) };
+}
+
+// =================================================================
+// --- 🚨 6. INCIDENTS & ESCALATION ---
+// =================================================================
+// Outage, liveness, temperature, fault and grid-voltage problems open one incident per inverter. Until someone presses "Acknowledge",
+// open incidents are announced again every `escalationIntervalMinutes` during daylight; an outage escalates first after `urgentDelayMinutes`.
+// state.incidents = { nextId, list: [{ id, type, sn, label, openedAt, resolvedAt, acknowledgedAt, acknowledgedBy, snoozedUntil, lastNotifiedAt, escalations }] }
+const INCIDENT_ALERTS = { outage: 'OUTAGE_MESSAGE', liveness: 'LIVENESS_ALERT', temperature: 'TEMP_ALERT', fault: 'FAULT_ALERT', grid: 'GRID_VOLTAGE_ALERT' };
+const INCIDENT_SNOOZE_MINUTES = 60;
+const INCIDENT_HISTORY_DAYS = 7;
+const CRITICAL_SEVERITIES = ['urgent', 'critical'];
+
+function getIncident(id) { return state.incidents.list.find(incident => incident.id === id) || null; }
+function getOpenIncident(type, sn) { return state.incidents.list.find(incident => incident.type === type && incident.sn === sn && !incident.resolvedAt) || null; }
+function getIncidentMinutes(incident) { return differenceInMinutes(incident.resolvedAt ? new Date(incident.resolvedAt) : new Date(), new Date(incident.openedAt)); }
+function getIncidentTypeLabel(incident, lang) { return t(`INCIDENT_TYPE_${incident.type.toUpperCase()}`, lang); }
+function withIncidentFooter(text, incident, lang) { return `${text}\n${t('INCIDENT_FOOTER', lang, { id: incident.id })}`; }
+
+function formatDuration(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}min`;
+}
+
+// Escapes the characters legacy Telegram Markdown treats as entities, for user-supplied text such as names.
+function escapeMarkdown(text) { return String(text).replace(/([_*`[])/g, '\\$1'); }
+
+function getIncidentKeyboard(incident, lang) {
+    return { inline_keyboard: [[
+        { text: t('INCIDENT_BUTTON_ACK', lang), callback_data: `incident:ack:${incident.id}` },
+        { text: t('INCIDENT_BUTTON_SNOOZE', lang), callback_data: `incident:snooze:${incident.id}` }
+    ]] };
+}
+
+// `quietHours` is { start: 'HH:mm', end: 'HH:mm' } and may wrap past midnight.
+function isQuietTime(date = new Date()) {
+    const quietHours = state.config.quietHours;
+    if (!quietHours) return false;
+    const now = date.getHours() + date.getMinutes() / 60, start = parseHour(quietHours.start), end = parseHour(quietHours.end);
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+function openIncident(type, entry, render, details = {}) {
+    const incident = { id: state.incidents.nextId++, type, sn: entry.sn, label: getDeviceLabel(entry), openedAt: new Date(), resolvedAt: null, acknowledgedAt: null, acknowledgedBy: null, snoozedUntil: null, lastNotifiedAt: new Date(), escalations: 0 };
+    state.incidents.list.push(incident);
+    notify(INCIDENT_ALERTS[type], lang => withIncidentFooter(render(lang), incident, lang), { incident });
+    publishEvent(type, { incidentId: incident.id, sn: incident.sn, device: incident.label, ...details });
+    return incident;
+}
+
+// Outages report with RECOVERY_MESSAGE; other incidents with a generic "resolved" line. `silent` closes without any message.
+function resolveIncident(incident, { render = null, silent = false, details = {} } = {}) {
+    incident.resolvedAt = new Date();
+    if (silent) return;
+    const alertType = incident.type === 'outage' ? 'RECOVERY_MESSAGE' : INCIDENT_ALERTS[incident.type];
+    const multiDevice = Object.keys(state.status.devices).length > 1;
+    const resolvedText = lang => render ? withIncidentFooter(render(lang), incident, lang) : t('INCIDENT_RESOLVED', lang, { id: incident.id, type: getIncidentTypeLabel(incident, lang), duration: formatDuration(getIncidentMinutes(incident)) });
+    notify(alertType, lang => withDeviceLabel(resolvedText(lang), incident.label, multiDevice));
+    publishEvent(incident.type === 'outage' ? 'recovery' : 'resolved', { incidentId: incident.id, type: incident.type, sn: incident.sn, device: incident.label, openedAt: incident.openedAt, durationMinutes: getIncidentMinutes(incident), ...details });
+}
+
+function pruneIncidents(referenceDate = new Date()) {
+    state.incidents.list = state.incidents.list.filter(incident => !incident.resolvedAt || differenceInDays(referenceDate, new Date(incident.resolvedAt)) < INCIDENT_HISTORY_DAYS);
+}
+
+// Re-announces every open incident nobody has acknowledged yet. Non-critical reminders wait for the end of quiet hours.
+function checkEscalations() {
+    const multiDevice = Object.keys(state.status.devices).length > 1;
+    const paused = !getMonitoringWindow().isDaylight; // Incidents left open overnight are not re-announced until morning.
+    let changed = false;
+    for (const incident of state.incidents.list) {
+        if (paused || incident.resolvedAt || incident.acknowledgedAt) continue;
+        if (incident.snoozedUntil && new Date() < new Date(incident.snoozedUntil)) continue;
+        const alertType = incident.type === 'outage' ? 'URGENT_ALERT_MESSAGE' : INCIDENT_ALERTS[incident.type];
+        if (isQuietTime() && !CRITICAL_SEVERITIES.includes(ALERT_SEVERITIES[alertType])) continue;
+        const interval = incident.type === 'outage' && incident.escalations === 0 ? state.config.urgentDelayMinutes : state.config.escalationIntervalMinutes;
+        if (!interval || differenceInMinutes(new Date(), new Date(incident.lastNotifiedAt)) < interval) continue;
+        const minutesOpen = getIncidentMinutes(incident);
+        const render = incident.type === 'outage'
+            ? lang => t('URGENT_ALERT_MESSAGE', lang, { minutes: minutesOpen, mentions: formatOnCallMentions(lang) })
+            : lang => t('INCIDENT_REMINDER', lang, { id: incident.id, type: getIncidentTypeLabel(incident, lang), duration: formatDuration(minutesOpen) });
+        notify(alertType, lang => withIncidentFooter(withDeviceLabel(render(lang), incident.label, multiDevice), incident, lang), { incident });
+        publishEvent(incident.type === 'outage' ? 'urgent' : 'escalation', { incidentId: incident.id, type: incident.type, sn: incident.sn, device: incident.label, openedAt: incident.openedAt, minutesOpen, escalation: incident.escalations + 1 });
+        incident.escalations += 1;
+        incident.lastNotifiedAt = new Date();
+        changed = true;
     }
-    return text;
+    const before = state.incidents.list.length;
+    pruneIncidents();
+    if (changed || state.incidents.list.length !== before) saveState();
 }
 
-function loadState() {
-  try {
-    const rawData = fs.readFileSync(path.join(__dirname, 'bot_state.json'));
-    const loadedState = JSON.parse(rawData);
-    const mergedState = {
-      config: { ...{ language: DEFAULT_LANGUAGE, costPerKwh: DEFAULT_COST_PER_KWH, currencySymbol: DEFAULT_CURRENCY_SYMBOL, cleaningIntervalWeeks: DEFAULT_CLEANING_WEEKS, tempThreshold: DEFAULT_TEMP_THRESHOLD_C }, ...loadedState.config },
-      stats: { lastReminderDate: new Date(), nextMilestoneKwh: MILESTONE_STEP_KWH, bestDay: { date: null, kwh: 0 }, lastLivenessAlert: null, lastTempAlert: null },
-      status: { ...{ isSystemDown: false, outageStartTime: null, urgentAlertSent: false }, ...loadedState.status }
-    };
-    mergedState.stats.lastReminderDate = new Date(mergedState.stats.lastReminderDate);
-    if (mergedState.status.outageStartTime) {
-        mergedState.status.outageStartTime = new Date(mergedState.status.outageStartTime);
+// Telegram refuses to answer presses on old messages ("query is too old"); that must not take the bot down.
+function answerButton(query, options = {}) {
+    return bot.answerCallbackQuery(query.id, options).catch(e => console.error(`Failed to answer button "${query.data}": ${e.response?.body?.description || e.message}`));
+}
+
+// Handles the Acknowledge / Snooze buttons attached to incident alerts.
+async function handleIncidentButton(query, action, id) {
+    const lang = state.subscribers[String(query.message?.chat.id)]?.language || state.config.language;
+    const incident = getIncident(id);
+    const removeButtons = () => bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: query.message?.chat.id, message_id: query.message?.message_id }).catch(() => {});
+    if (!incident || incident.resolvedAt) {
+        removeButtons();
+        return answerButton(query, { text: t('INCIDENT_ALREADY_RESOLVED', lang) });
+    }
+    const name = query.from.first_name || query.from.username || String(query.from.id);
+    if (action === 'ack') {
+        Object.assign(incident, { acknowledgedAt: new Date(), acknowledgedBy: name, snoozedUntil: null });
+        formatMarkdown(t('INCIDENT_ACKNOWLEDGED', null, { id: incident.id, name: escapeMarkdown(name) }));
+        publishEvent('acknowledged', { incidentId: incident.id, type: incident.type, sn: incident.sn, device: incident.label, by: name });
+        removeButtons();
+    } else {
+        incident.snoozedUntil = new Date(Date.now() + INCIDENT_SNOOZE_MINUTES * 60000);
+        formatMarkdown(t('INCIDENT_SNOOZED', null, { id: incident.id, name: escapeMarkdown(name), time: format(incident.snoozedUntil, 'HH:mm') }));
     }
-    return mergedState;
-  } catch (error) {
-    console.log("State file not found. Creating a new one with defaults.");
+    saveState();
+    answerButton(query, { text: t(action === 'ack' ? 'INCIDENT_ACK_DONE' : 'INCIDENT_SNOOZE_DONE', lang, { id: incident.id }) });
+}
+
+// --- Inverter faults ---
+// Each hourly check reads the inverter's status word and fault/warning codes from historyLast, plus the plant's portal
+// event log (the `faultlog` option of getAllPlantData). Raised and cleared codes are kept in state.faults.events for
+// FAULT_HISTORY_DAYS; state.faults.lastLogTime remembers, per plant, the newest portal event already seen.
+const GROWATT_FAULT_LOG_OPTIONS = { faultlog: true, faultlogdateindex: false };
+const INVERTER_STATUS_FAULT = 3; // Growatt status word: -1 offline, 0 waiting, 1 normal, 3 fault.
+const FAULT_HISTORY_DAYS = 30;
+const FAULT_LIST_LIMIT = 15;
+
+// Growatt reports codes in different fields depending on the inverter family (inv: faultType/warnCode, tlx: faultCode1/warningValue1).
+function getDeviceFaultState(device) {
+    const last = device.historyLast || {};
+    const code = (...values) => values.map(value => parseInt(value, 10)).find(value => value > 0) || 0;
+    const status = parseInt(last.status ?? device.deviceData?.status, 10);
     return {
-      config: { language: DEFAULT_LANGUAGE, costPerKwh: DEFAULT_COST_PER_KWH, currencySymbol: DEFAULT_CURRENCY_SYMBOL, cleaningIntervalWeeks: DEFAULT_CLEANING_WEEKS, tempThreshold: DEFAULT_TEMP_THRESHOLD_C },
-      stats: { lastReminderDate: new Date(), nextMilestoneKwh: MILESTONE_STEP_KWH, bestDay: { date: null, kwh: 0 }, lastLivenessAlert: null, lastTempAlert: null },
-      status: { isSystemDown: false, outageStartTime: null, urgentAlertSent: false }
+        status: isNaN(status) ? null : status,
+        faultCode: code(last.faultType, last.faultCode1, last.errorCode),
+        warningCode: code(last.warnCode, last.warningValue1, last.warningCode)
     };
-  }
 }
 
-function saveState() { fs.writeFileSync(path.join(__dirname, 'bot_state.json'), JSON.stringify(state, null, 2)); }
+// `prefix` is FAULT_CODE or WARNING_CODE; codes without a translation fall back to the portal's own name, then to the bare code.
+function describeInverterCode(prefix, code, lang, fallbackName = null) {
+    const key = `${prefix}_${code}`;
+    if (translations[DEFAULT_LANGUAGE][key]) return t(key, lang);
+    return fallbackName ? escapeMarkdown(fallbackName) : t(`${prefix}_UNKNOWN`, lang, { code });
+}
 
-async function getGrowattData(forceNew = false, date = new Date()) {
-    const isToday = format(date, 'yyyy-MM-dd') === format(new Date(), 'yyyy-MM-dd');
-    if (!forceNew && isToday && apiCache.data && (Date.now() - apiCache.timestamp < 120000)) {
-        return apiCache.data;
+function describeFaultEvent(event, lang) {
+    if (event.kind === 'grid') return t(event.state === 'raised' ? 'FAULT_EVENT_GRID_RAISED' : 'FAULT_EVENT_GRID_CLEARED', lang, { voltage: event.voltage });
+    const description = describeInverterCode(event.kind === 'warning' ? 'WARNING_CODE' : 'FAULT_CODE', event.code, lang, event.name);
+    return t(`FAULT_EVENT_${event.state.toUpperCase()}`, lang, { description });
+}
+
+function recordFaultEvent(event) {
+    const cutoff = subDays(new Date(), FAULT_HISTORY_DAYS);
+    state.faults.events = [...state.faults.events, { time: new Date().toISOString(), ...event }]
+        .filter(other => new Date(other.time) >= cutoff)
+        .sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+// =================================================================
+// --- 📊 7. CHARTS ---
+// =================================================================
+// Charts are drawn as SVG and rasterised locally with resvg, using the bundled DejaVu font so labels render on any host.
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 450;
+const CHART_MARGIN = { top: 50, right: 30, bottom: 50, left: 65 };
+const CHART_FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const INTRADAY_MAX_PAGES = 5;
+
+function niceCeil(value) {
+    if (!(value > 0)) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find(candidate => value / magnitude <= candidate);
+    return step * magnitude;
+}
+
+function formatAxisValue(value) { return value >= 1000 ? `${+(value / 1000).toFixed(1)}k` : `${+value.toFixed(1)}`; }
+
+function svgToPng(svg) {
+    const resvg = new Resvg(svg, {
+        background: '#ffffff',
+        font: { fontFiles: [path.join(CHART_FONT_DIR, 'DejaVuSans.ttf'), path.join(CHART_FONT_DIR, 'DejaVuSans-Bold.ttf')], loadSystemFonts: false, defaultFontFamily: 'DejaVu Sans' }
+    });
+    return resvg.render().asPng();
+}
+
+// Frame shared by every chart: title, unit, horizontal grid lines and y-axis labels.
+function chartFrame(title, unit, maxValue) {
+    const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const parts = [
+        `<text x="${CHART_WIDTH / 2}" y="28" text-anchor="middle" font-size="18" font-weight="bold" fill="#333">${escapeHtml(title)}</text>`,
+        `<text x="${CHART_MARGIN.left - 10}" y="${CHART_MARGIN.top - 12}" text-anchor="end" font-size="12" fill="#666">${escapeHtml(unit)}</text>`
+    ];
+    for (let i = 0; i <= 5; i++) {
+        const value = (maxValue / 5) * i;
+        const y = CHART_MARGIN.top + plotHeight - (plotHeight / 5) * i;
+        parts.push(`<line x1="${CHART_MARGIN.left}" y1="${y}" x2="${CHART_WIDTH - CHART_MARGIN.right}" y2="${y}" stroke="${i === 0 ? '#999' : '#e5e5e5'}"/>`);
+        parts.push(`<text x="${CHART_MARGIN.left - 8}" y="${y + 4}" text-anchor="end" font-size="12" fill="#666">${formatAxisValue(value)}</text>`);
     }
-    const growatt = new api({});
-    try {
-        await growatt.login(GROWATT_USER, GROWATT_PASSWORD);
-        const allPlantData = await growatt.getAllPlantData({ historyLastStartDate: date, historyLastEndDate: date });
-        await growatt.logout();
-        if (isToday) {
-            apiCache = { data: allPlantData, timestamp: Date.now() };
+    return parts;
+}
+
+function wrapSvg(parts) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" font-family="DejaVu Sans">${parts.join('')}</svg>`;
+}
+
+function renderBarChart({ title, labels, values, unit }) {
+    const maxValue = niceCeil(Math.max(...values, 0));
+    const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const slot = plotWidth / values.length;
+    const barWidth = Math.max(2, slot * 0.7);
+    const parts = chartFrame(title, unit, maxValue);
+    values.forEach((value, i) => {
+        const height = (value / maxValue) * plotHeight;
+        const x = CHART_MARGIN.left + slot * i + (slot - barWidth) / 2;
+        const y = CHART_MARGIN.top + plotHeight - height;
+        parts.push(`<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}" fill="#f5a623" rx="2"/>`);
+        parts.push(`<text x="${(x + barWidth / 2).toFixed(1)}" y="${CHART_HEIGHT - CHART_MARGIN.bottom + 18}" text-anchor="middle" font-size="${values.length > 16 ? 10 : 12}" fill="#333">${escapeHtml(String(labels[i]))}</text>`);
+        if (values.length <= 12 && value > 0) {
+            parts.push(`<text x="${(x + barWidth / 2).toFixed(1)}" y="${(y - 5).toFixed(1)}" text-anchor="middle" font-size="11" fill="#333">${+value.toFixed(1)}</text>`);
         }
-        return allPlantData;
-    } catch (e) {
-        console.error("Failed to get Growatt data:", e);
-        throw new Error(t('ERROR_API_CONNECTION', state.config.language));
+    });
+    return svgToPng(wrapSvg(parts));
+}
+
+// `points` are { time: Date, value } pairs; the x axis spans the sampled part of the day in whole hours.
+function renderLineChart({ title, points, unit }) {
+    const maxValue = niceCeil(Math.max(...points.map(point => point.value), 0));
+    const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const hours = points.map(point => point.time.getHours() + point.time.getMinutes() / 60);
+    const startHour = Math.floor(Math.min(...hours));
+    const endHour = Math.max(startHour + 1, Math.ceil(Math.max(...hours)));
+    const xFor = (hour) => CHART_MARGIN.left + ((hour - startHour) / (endHour - startHour)) * plotWidth;
+    const yFor = (value) => CHART_MARGIN.top + plotHeight - (value / maxValue) * plotHeight;
+    const parts = chartFrame(title, unit, maxValue);
+    const labelStep = Math.ceil((endHour - startHour) / 12);
+    for (let hour = startHour; hour <= endHour; hour += labelStep) {
+        parts.push(`<text x="${xFor(hour).toFixed(1)}" y="${CHART_HEIGHT - CHART_MARGIN.bottom + 18}" text-anchor="middle" font-size="12" fill="#333">${String(hour).padStart(2, '0')}h</text>`);
     }
+    const line = points.map((point, i) => `${xFor(hours[i]).toFixed(1)},${yFor(point.value).toFixed(1)}`).join(' ');
+    const baseline = yFor(0).toFixed(1);
+    parts.push(`<polygon points="${xFor(hours[0]).toFixed(1)},${baseline} ${line} ${xFor(hours[hours.length - 1]).toFixed(1)},${baseline}" fill="#f5a623" fill-opacity="0.3"/>`);
+    parts.push(`<polyline points="${line}" fill="none" stroke="#e08e0b" stroke-width="2"/>`);
+    return svgToPng(wrapSvg(parts));
 }
 
-function formatMarkdown(text, lang = state.config.language) {
-    bot.sendMessage(TELEGRAM_GROUP_ID, text, { parse_mode: 'Markdown' })
-       .catch(e => console.error(`Failed to send message: ${e.response?.body || e.message}`));
+// Intraday power for a day, summed over the selected inverters in 5-minute buckets.
+async function getIntradaySamples(date = new Date(), sns = null) {
+    const dateStr = format(date, 'yyyy-MM-dd');
+    const buckets = new Map();
+    const seen = new Set();
+    let start = 0;
+    for (let page = 0; page < INTRADAY_MAX_PAGES; page++) {
+        const data = await getGrowattData(true, date, { historyAll: true, historyStart: start, weather: false });
+        let pageSize = 0;
+        for (const { sn, device } of getDeviceEntries(data)) {
+            if (sns && !sns.includes(sn)) continue;
+            const samples = Array.isArray(device.historyAll) ? device.historyAll : [];
+            pageSize = Math.max(pageSize, samples.length);
+            for (const sample of samples) {
+                const time = new Date(sample.time || sample.calendar);
+                const key = `${sn}|${time.toISOString()}`;
+                if (isNaN(time) || format(time, 'yyyy-MM-dd') !== dateStr || seen.has(key)) continue;
+                seen.add(key);
+                const bucket = Math.floor(time.getTime() / 300000) * 300000;
+                buckets.set(bucket, (buckets.get(bucket) || 0) + (parseFloat(sample.pac) || 0));
+            }
+        }
+        if (pageSize === 0) break;
+        start += pageSize;
+    }
+    return [...buckets.entries()].sort((a, b) => a[0] - b[0]).map(([time, value]) => ({ time: new Date(time), value }));
 }
 
-async function isAdmin(userId) {
+async function sendIntradayChart(lang, sns = null, chatId = TELEGRAM_GROUP_ID) {
     try {
-        const admins = await bot.getChatAdministrators(TELEGRAM_GROUP_ID);
-        return admins.some(admin => admin.user.id === userId);
-    } catch (e) { return false; }
+        const points = await getIntradaySamples(new Date(), sns);
+        if (points.length < 2) return;
+        const title = t('CHART_TITLE_TODAY', lang, { date: format(new Date(), 'yyyy-MM-dd') });
+        sendChart(renderLineChart({ title, points, unit: 'W' }), `*${title}*`, chatId);
+    } catch (e) { console.error("Intraday chart failed:", e.message); }
+}
+
+function getChartLabels(key, lang) { return t(key, lang).split(','); }
+
+function tryRenderChart(render) {
+    try { return render(); } catch (e) { console.error("Chart rendering failed:", e.message); return undefined; }
 }
 
 // =================================================================
-// --- 💬 3. COMMAND HANDLERS ---
+// --- 💬 8. COMMAND HANDLERS ---
 // =================================================================
 const commandMap = {
   'status': { cmd: 'GET_STATUS', lang: 'en' }, 'statut': { cmd: 'GET_STATUS', lang: 'fr' },
-  'today': { cmd: 'GET_TODAY', lang: 'en' }, 'production': { cmd: 'GET_TODAY', lang: 'en' }, "aujourd'hui": { cmd: 'GET_TODAY', lang: 'fr' },
+  'today': { cmd: 'GET_TODAY', lang: 'en' }, 'production': { cmd: 'GET_TODAY', lang: 'en' }, "aujourd'hui": { cmd: 'GET_TODAY', lang: 'fr' }, 'aujourdhui': { cmd: 'GET_TODAY', lang: 'fr' },
   'total': { cmd: 'GET_TOTAL', lang: 'en' },
   'money': { cmd: 'GET_MONEY_TODAY', lang: 'en' }, 'argent': { cmd: 'GET_MONEY_TODAY', lang: 'fr' },
   'total money': { cmd: 'GET_MONEY_TOTAL', lang: 'en' }, 'argent total': { cmd: 'GET_MONEY_TOTAL', lang: 'fr' },
@@ -126,163 +1572,338 @@ const commandMap = {
   'compare': { cmd: 'GET_COMPARISON', lang: 'en' }, 'comparer': { cmd: 'GET_COMPARISON', lang: 'fr' },
   'weather': { cmd: 'GET_WEATHER', lang: 'en' }, 'meteo': { cmd: 'GET_WEATHER', lang: 'fr' },
   'history': { cmd: 'GET_HISTORY', lang: 'en' }, 'historique': { cmd: 'GET_HISTORY', lang: 'fr' },
+  'export': { cmd: 'EXPORT_DATA', lang: 'en' }, 'exporter': { cmd: 'EXPORT_DATA', lang: 'fr' },
+  'incidents': { cmd: 'GET_INCIDENTS', lang: 'en' }, 'pannes': { cmd: 'GET_INCIDENTS', lang: 'fr' },
+  'faults': { cmd: 'GET_FAULTS', lang: 'en' }, 'défauts': { cmd: 'GET_FAULTS', lang: 'fr' }, 'defauts': { cmd: 'GET_FAULTS', lang: 'fr' },
   'help': { cmd: 'GET_HELP', lang: 'en' }, 'aide': { cmd: 'GET_HELP', lang: 'fr' },
+  '/menu': { cmd: 'GET_MENU', lang: 'en' },
   '/setlang': { cmd: 'SET_LANG', lang: 'en' },
   '/setcost': { cmd: 'SET_COST', lang: 'en' },
   '/setcleaning': { cmd: 'SET_CLEANING_WEEKS', lang: 'en' },
   '/settemp': { cmd: 'SET_TEMP_THRESHOLD', lang: 'en' },
+  '/setretention': { cmd: 'SET_HISTORY_RETENTION', lang: 'en' },
+  '/tariff': { cmd: 'SET_TARIFF', lang: 'en' }, '/tarif': { cmd: 'SET_TARIFF', lang: 'fr' },
+  '/setquiet': { cmd: 'SET_QUIET_HOURS', lang: 'en' },
+  '/setescalation': { cmd: 'SET_ESCALATION_INTERVAL', lang: 'en' },
+  '/setlocation': { cmd: 'SET_LOCATION', lang: 'en' },
+  '/config': { cmd: 'SET_CONFIG', lang: 'en' },
+  '/set': { cmd: 'SET_CONFIG_VALUE', lang: 'en' },
+  '/subscribe': { cmd: 'SUBSCRIBE', lang: 'en' }, '/abonner': { cmd: 'SUBSCRIBE', lang: 'fr' },
+  '/unsubscribe': { cmd: 'UNSUBSCRIBE', lang: 'en' }, '/desabonner': { cmd: 'UNSUBSCRIBE', lang: 'fr' },
+  '/oncall': { cmd: 'TOGGLE_ON_CALL', lang: 'en' }, '/astreinte': { cmd: 'TOGGLE_ON_CALL', lang: 'fr' },
 };
 
 const commandActions = {
     GET_STATUS, GET_TODAY, GET_TOTAL, GET_MONEY_TODAY, GET_MONEY_TOTAL, MARK_CLEANED,
-    GET_CLEANING_STATUS, GET_COMPARISON, GET_WEATHER, GET_HISTORY, GET_HELP, SET_LANG, SET_COST,
-    SET_CLEANING_WEEKS, SET_TEMP_THRESHOLD
+    GET_CLEANING_STATUS, GET_COMPARISON, GET_WEATHER, GET_HISTORY, EXPORT_DATA, GET_HELP, SET_LANG, SET_COST,
+    SET_CLEANING_WEEKS, SET_TEMP_THRESHOLD, SET_HISTORY_RETENTION, SET_TARIFF, SUBSCRIBE, UNSUBSCRIBE, TOGGLE_ON_CALL,
+    GET_INCIDENTS, GET_FAULTS, GET_MENU, SET_QUIET_HOURS, SET_ESCALATION_INTERVAL, SET_LOCATION, SET_CONFIG, SET_CONFIG_VALUE
 };
 
 bot.on('message', async (msg) => {
     if (!msg.text || msg.from.is_bot) return;
     const commandParts = msg.text.toString().toLowerCase().trim().split(' ');
+    // Registered commands arrive as "/status" or "/status@BotName"; keywords work with or without the slash.
+    commandParts[0] = commandParts[0].replace(/@\w+$/, '');
+    if (!commandMap[commandParts[0]] && commandParts[0].startsWith('/')) commandParts[0] = commandParts[0].slice(1);
     const commandKeyword = commandParts.length > 1 && commandMap[`${commandParts[0]} ${commandParts[1]}`] ? `${commandParts[0]} ${commandParts[1]}` : commandParts[0];
     const commandInfo = commandMap[commandKeyword];
+    const args = msg.text.toString().trim().split(/\s+/).slice(commandKeyword.split(' ').length);
 
     if (commandInfo && commandActions[commandInfo.cmd]) {
         console.log(`Command received: "${commandInfo.cmd}" from ${msg.from.first_name} in lang: ${commandInfo.lang}`);
+        if (String(msg.chat.id) !== String(TELEGRAM_GROUP_ID) && !(await isGroupMember(msg.from.id))) {
+            return formatMarkdown(t('ERROR_NOT_MEMBER', commandInfo.lang), msg.chat.id);
+        }
         if (commandInfo.cmd.startsWith('SET_')) {
-            if (await isAdmin(msg.from.id)) { commandActions[commandInfo.cmd](msg, commandInfo.lang); } 
-            else { formatMarkdown(t('ERROR_NOT_ADMIN', commandInfo.lang)); }
+            if (await isAdmin(msg.from.id)) { commandActions[commandInfo.cmd](msg, commandInfo.lang, args); } 
+            else { formatMarkdown(t('ERROR_NOT_ADMIN', commandInfo.lang), msg.chat.id); }
         } else {
-            commandActions[commandInfo.cmd](msg, commandInfo.lang);
+            commandActions[commandInfo.cmd](msg, commandInfo.lang, args);
         }
     }
 });
 
+// Button presses: `incident:<ack|snooze>:<id>`, `menu:<lang>:<view>[:<arg>]` and `config:<lang>:<action>[:<key>[:<value>]]`.
+const callbackHandlers = {
+    incident: (query, [action, id]) => ['ack', 'snooze'].includes(action) ? handleIncidentButton(query, action, parseInt(id, 10)) : Promise.resolve(),
+    menu: handleMenuButton,
+    config: handleConfigButton
+};
+
+bot.on('callback_query', async (query) => {
+    const [scope, ...parts] = (query.data || '').split(':');
+    if (!callbackHandlers[scope]) return;
+    if (!(await isGroupMember(query.from.id))) return answerButton(query, { text: t('ERROR_NOT_MEMBER', null) });
+    callbackHandlers[scope](query, parts).catch(e => console.error(`Button "${query.data}" failed: ${e.message}`));
+});
+
 // --- Command Implementations ---
-async function GET_STATUS(msg, lang) {
-  try {
+// Resolves the optional plant/inverter selector. Replies with an error and returns null when nothing usable is found.
+async function getSelectedEntries(args, lang, chatId) {
+    const selector = args.join(' ');
     const data = await getGrowattData();
-    const plant = data && data[Object.keys(data)[0]];
-    if (!plant) return formatMarkdown(t('ERROR_NO_PLANT_DATA', lang));
-    const device = plant.devices && plant.devices[Object.keys(plant.devices)[0]];
-    if (!device) return formatMarkdown(t('ERROR_NO_DEVICE_DATA', lang));
-    formatMarkdown(t('STATUS_REPLY', lang, { pac: device.historyLast.pac, vacr: device.historyLast.vacr, temperature: device.historyLast.temperature, eToday: device.deviceData.eToday }));
-  } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message })); }
-}
-async function GET_TODAY(msg, lang) {
+    if (!data || Object.keys(data).length === 0) { formatMarkdown(t('ERROR_NO_PLANT_DATA', lang), chatId); return null; }
+    const entries = selectDeviceEntries(data, selector);
+    if (entries.length === 0) {
+        if (selector) replySelectorNotFound(data, selector, lang, chatId);
+        else formatMarkdown(t('ERROR_NO_DEVICE_DATA', lang), chatId);
+        return null;
+    }
+    return entries;
+}
+
+// Combined live readings: total power and energy, average grid voltage, hottest inverter.
+function summarizeStatus(entries) {
+    const readings = entries.map(({ device }) => ({ pac: parseFloat(device.historyLast?.pac) || 0, vacr: parseFloat(device.historyLast?.vacr) || 0, temperature: parseFloat(device.historyLast?.temperature) || 0 }));
+    return {
+        pac: readings.reduce((sum, reading) => sum + reading.pac, 0),
+        vacr: readings.length ? readings.reduce((sum, reading) => sum + reading.vacr, 0) / readings.length : 0,
+        temperature: readings.length ? Math.max(...readings.map(reading => reading.temperature)) : 0,
+        eToday: entries.reduce((sum, entry) => sum + getDeviceTodayKwh(entry), 0)
+    };
+}
+
+function formatBreakdown(entries, lineFor) {
+    if (entries.length < 2) return '';
+    return '\n' + entries.map(entry => `• *${getDeviceLabel(entry)}:* ${lineFor(entry)}`).join('\n');
+}
+
+async function GET_STATUS(msg, lang, args = []) {
   try {
-    const data = await getGrowattData();
-    const plant = data && data[Object.keys(data)[0]];
-    if (!plant) return formatMarkdown(t('ERROR_NO_PLANT_DATA', lang));
-    const device = plant.devices && plant.devices[Object.keys(plant.devices)[0]];
-    if (!device) return formatMarkdown(t('ERROR_NO_DEVICE_DATA', lang));
-    formatMarkdown(t('TODAY_REPLY', lang, { eToday: device.deviceData.eToday }));
-  } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message })); }
-}
-async function GET_TOTAL(msg, lang) {
+    const entries = await getSelectedEntries(args, lang, msg.chat.id);
+    if (!entries) return;
+    const { pac, vacr, temperature, eToday } = summarizeStatus(entries);
+    const breakdown = formatBreakdown(entries, entry => t('STATUS_DEVICE_LINE', lang, { pac: entry.device.historyLast?.pac ?? 0, vacr: entry.device.historyLast?.vacr ?? 0, temperature: entry.device.historyLast?.temperature ?? 0, eToday: entry.device.deviceData?.eToday ?? 0 }));
+    formatMarkdown(t('STATUS_REPLY', lang, { pac: +pac.toFixed(1), vacr: +vacr.toFixed(1), temperature: +temperature.toFixed(1), eToday: +eToday.toFixed(2) }) + breakdown, msg.chat.id);
+    sendIntradayChart(lang, args.length > 0 ? entries.map(entry => entry.sn) : null, msg.chat.id);
+  } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }), msg.chat.id); }
+}
+async function GET_TODAY(msg, lang, args = []) {
   try {
-    const data = await getGrowattData();
-    const plant = data && data[Object.keys(data)[0]];
-    if (!plant) return formatMarkdown(t('ERROR_NO_PLANT_DATA', lang));
-    formatMarkdown(t('TOTAL_REPLY', lang, { eTotal: plant.plantData.eTotal }));
-  } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message })); }
+    const entries = await getSelectedEntries(args, lang, msg.chat.id);
+    if (!entries) return;
+    const eToday = entries.reduce((sum, entry) => sum + getDeviceTodayKwh(entry), 0);
+    const breakdown = formatBreakdown(entries, entry => `${+getDeviceTodayKwh(entry).toFixed(2)} kWh`);
+    formatMarkdown(t('TODAY_REPLY', lang, { eToday: +eToday.toFixed(2) }) + breakdown, msg.chat.id);
+  } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }), msg.chat.id); }
 }
-async function GET_MONEY_TODAY(msg, lang) {
+async function GET_TOTAL(msg, lang, args = []) {
   try {
-    const data = await getGrowattData();
-    const plant = data && data[Object.keys(data)[0]];
-    if (!plant) return formatMarkdown(t('ERROR_NO_PLANT_DATA', lang));
-    const device = plant.devices && plant.devices[Object.keys(plant.devices)[0]];
-    if (!device) return formatMarkdown(t('ERROR_NO_DEVICE_DATA', lang));
-    const moneySaved = (parseFloat(device.deviceData.eToday) * state.config.costPerKwh).toFixed(2);
-    formatMarkdown(t('MONEY_TODAY_REPLY', lang, { symbol: state.config.currencySymbol, moneySaved }));
-  } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message })); }
-}
-async function GET_MONEY_TOTAL(msg, lang) {
+    const entries = await getSelectedEntries(args, lang, msg.chat.id);
+    if (!entries) return;
+    const breakdown = formatBreakdown(entries, entry => `${+getDeviceLifetimeKwh(entry).toFixed(2)} kWh`);
+    formatMarkdown(t('TOTAL_REPLY', lang, { eTotal: +getLifetimeKwh(entries).toFixed(2) }) + breakdown, msg.chat.id);
+  } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }), msg.chat.id); }
+}
+async function GET_MONEY_TODAY(msg, lang, args = []) {
   try {
-    const data = await getGrowattData();
-    const plant = data && data[Object.keys(data)[0]];
-    if (!plant) return formatMarkdown(t('ERROR_NO_PLANT_DATA', lang));
-    const moneySaved = (parseFloat(plant.plantData.eTotal) * state.config.costPerKwh).toFixed(2);
-    formatMarkdown(t('MONEY_TOTAL_REPLY', lang, { symbol: state.config.currencySymbol, moneySaved }));
-  } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message })); }
+    const entries = await getSelectedEntries(args, lang, msg.chat.id);
+    if (!entries) return;
+    const eToday = entries.reduce((sum, entry) => sum + getDeviceTodayKwh(entry), 0);
+    const todayStr = format(new Date(), 'yyyy-MM-dd');
+    const sns = args.length > 0 ? entries.map(entry => entry.sn) : null;
+    const saved = valueProduction(todayStr, eToday, getStoredMonthToDate(todayStr, sns));
+    const moneySaved = saved.toFixed(2);
+    const breakdown = formatBreakdown(entries, entry => `${state.config.currencySymbol} ${(eToday > 0 ? saved * getDeviceTodayKwh(entry) / eToday : 0).toFixed(2)}`);
+    formatMarkdown(t('MONEY_TODAY_REPLY', lang, { symbol: state.config.currencySymbol, moneySaved }) + breakdown, msg.chat.id);
+  } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }), msg.chat.id); }
+}
+async function GET_MONEY_TOTAL(msg, lang, args = []) {
+  try {
+    const entries = await getSelectedEntries(args, lang, msg.chat.id);
+    if (!entries) return;
+    const sns = args.length > 0 ? entries.map(entry => entry.sn) : null;
+    const moneySaved = computeLifetimeSavings(getLifetimeKwh(entries), sns).toFixed(2);
+    const breakdown = formatBreakdown(entries, entry => `${state.config.currencySymbol} ${computeLifetimeSavings(getDeviceLifetimeKwh(entry), [entry.sn]).toFixed(2)}`);
+    formatMarkdown(t('MONEY_TOTAL_REPLY', lang, { symbol: state.config.currencySymbol, moneySaved }) + breakdown, msg.chat.id);
+  } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }), msg.chat.id); }
 }
 function MARK_CLEANED(msg, lang) {
   state.stats.lastReminderDate = new Date();
   saveState();
-  formatMarkdown(t('CLEANED_REPLY', lang, { nextReminderDays: state.config.cleaningIntervalWeeks * 7 }));
+  formatMarkdown(t('CLEANED_REPLY', lang, { nextReminderDays: state.config.cleaningIntervalWeeks * 7 }), msg.chat.id);
 }
 function GET_CLEANING_STATUS(msg, lang) {
   const totalIntervalDays = state.config.cleaningIntervalWeeks * 7;
   const daysPassed = differenceInDays(new Date(), new Date(state.stats.lastReminderDate));
   const daysLeft = totalIntervalDays - daysPassed;
-  if (daysLeft <= 0) {
-    formatMarkdown(t('CLEANING_OVERDUE_REPLY', lang, { daysOverdue: -daysLeft }));
+  const sunnyRatio = getRecentSunnyRatio();
+  if (sunnyRatio !== null) {
+    formatMarkdown(t(sunnyRatio < CLEANING_RATIO_THRESHOLD ? 'CLEANING_PERFORMANCE_LOW_REPLY' : 'CLEANING_PERFORMANCE_REPLY', lang, { percent: Math.round(sunnyRatio * 100), days: CLEANING_SUNNY_DAYS }), msg.chat.id);
+  } else if (daysLeft <= 0) {
+    formatMarkdown(t('CLEANING_OVERDUE_REPLY', lang, { daysOverdue: -daysLeft }), msg.chat.id);
   } else {
-    formatMarkdown(t('CLEANING_STATUS_REPLY', lang, { daysLeft }));
+    formatMarkdown(t('CLEANING_STATUS_REPLY', lang, { daysLeft }), msg.chat.id);
   }
 }
 
-async function GET_HISTORY(msg, lang) {
+async function GET_HISTORY(msg, lang, args = []) {
     try {
-        let arg = msg.text.split(' ')[1] || format(new Date(), 'yyyy-MM');
-        if (/^\d{2}-\d{2}$/.test(arg)) {
-            arg = new Date().getFullYear() + '-' + arg;
-        }
+        // The period comes first and may be omitted; anything after it selects a plant or inverter.
+        const periodGiven = args.length > 0 && isPeriodArg(args[0]);
+        const arg = normalizePeriodArg(periodGiven ? args[0] : format(new Date(), 'yyyy-MM'));
+        const selector = (periodGiven ? args.slice(1) : args).join(' ');
+        const entries = await getSelectedEntries(selector ? [selector] : [], lang, msg.chat.id);
+        if (!entries) return;
+        const sns = selector ? entries.map(entry => entry.sn) : null;
+        const periodLabel = selector ? `${arg} (${entries.map(getDeviceLabel).join(', ')})` : arg;
 
         if (/^\d{4}$/.test(arg)) { // Year
-            formatMarkdown(t('FETCHING_HISTORY', lang, { period: arg }));
+            formatMarkdown(t('FETCHING_HISTORY', lang, { period: periodLabel }), msg.chat.id);
             const year = parseInt(arg, 10);
             let totalKwh = 0;
             let results = [];
+            const monthTotals = [];
             for (let i = 0; i < 12; i++) {
                 const monthDate = new Date(year, i, 1);
-                const monthTotal = await getPeriodTotal(monthDate, 'month');
+                const monthTotal = await getPeriodTotal(monthDate, 'month', sns);
+                monthTotals.push(monthTotal);
                 if (monthTotal > 0) {
                     results.push(`*${format(monthDate, 'yyyy-MM')}:* ${monthTotal.toFixed(2)} kWh`);
                 }
                 totalKwh += monthTotal;
             }
             if (totalKwh > 0) {
-                results.unshift(`*${arg} Total: ${totalKwh.toFixed(2)} kWh*`);
-                formatMarkdown(results.join('\n'));
+                results.unshift(`*${periodLabel} Total: ${totalKwh.toFixed(2)} kWh*`);
+                replyWithChart(results.join('\n'), () => renderBarChart({ title: t('CHART_TITLE_YEAR', lang, { year: arg }), labels: getChartLabels('CHART_MONTHS', lang), values: monthTotals, unit: 'kWh' }), msg.chat.id);
             } else {
-                formatMarkdown(t('HISTORY_NOT_FOUND', lang, { date: arg }));
+                formatMarkdown(t('HISTORY_NOT_FOUND', lang, { date: periodLabel }), msg.chat.id);
             }
         } else if (/^\d{4}-\d{2}$/.test(arg)) { // Month
-            formatMarkdown(t('FETCHING_HISTORY', lang, { period: arg }));
+            formatMarkdown(t('FETCHING_HISTORY', lang, { period: periodLabel }), msg.chat.id);
             const monthDate = new Date(`${arg}-01T12:00:00`);
-            const monthTotal = await getPeriodTotal(monthDate, 'month');
+            const breakdown = await getPeriodBreakdown(monthDate, 'month', entries);
+            const monthTotal = await getPeriodTotal(monthDate, 'month', sns);
             if (monthTotal > 0) {
-                formatMarkdown(t('HISTORY_REPLY', lang, { date: arg, kwh: monthTotal.toFixed(2) }));
+                const replyText = t('HISTORY_REPLY', lang, { date: periodLabel, kwh: monthTotal.toFixed(2) }) + breakdown;
+                const dailyTotals = await getDailyTotals(monthDate, 'month', sns);
+                if (dailyTotals) {
+                    replyWithChart(replyText, () => renderBarChart({ title: t('CHART_TITLE_MONTH', lang, { month: arg }), labels: dailyTotals.map(day => format(day.date, 'd')), values: dailyTotals.map(day => day.kwh), unit: 'kWh' }), msg.chat.id);
+                } else {
+                    formatMarkdown(replyText, msg.chat.id);
+                }
             } else {
-                formatMarkdown(t('HISTORY_NOT_FOUND', lang, { date: arg }));
+                formatMarkdown(t('HISTORY_NOT_FOUND', lang, { date: periodLabel }), msg.chat.id);
             }
         } else if (/^\d{4}-\d{2}-\d{2}$/.test(arg)) { // Day
-            const kwh = await getPeriodTotal(new Date(arg), 'day');
+            const dayDate = parseISO(arg);
+            const breakdown = await getPeriodBreakdown(dayDate, 'day', entries);
+            const kwh = await getPeriodTotal(dayDate, 'day', sns);
             if (kwh > 0) {
-                formatMarkdown(t('HISTORY_REPLY', lang, { date: arg, kwh: kwh.toFixed(2) }));
+                formatMarkdown(t('HISTORY_REPLY', lang, { date: periodLabel, kwh: kwh.toFixed(2) }) + breakdown, msg.chat.id);
             } else {
-                formatMarkdown(t('HISTORY_NOT_FOUND', lang, { date: arg }));
+                formatMarkdown(t('HISTORY_NOT_FOUND', lang, { date: periodLabel }), msg.chat.id);
             }
         } else {
-            formatMarkdown(t('ERROR_HISTORY_FORMAT', lang));
+            formatMarkdown(t('ERROR_HISTORY_FORMAT', lang), msg.chat.id);
         }
     } catch (e) {
         console.error("Error in GET_HISTORY:", e);
-        formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }));
+        formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }), msg.chat.id);
+    }
+}
+
+// Accepts `YYYY`, `YYYY-MM`, `YYYY-MM-DD` and the `MM-DD` shorthand for the current year. Anything else, numeric plant ids
+// and inverter serials included, is a selector.
+function isPeriodArg(arg) {
+    return /^\d{4}(-\d{2}(-\d{2})?)?$/.test(arg) || /^\d{2}-\d{2}$/.test(arg);
+}
+
+function normalizePeriodArg(arg) {
+    return /^\d{2}-\d{2}$/.test(arg) ? new Date().getFullYear() + '-' + arg : arg;
+}
+
+// Per-inverter lines for a period. Runs before the total so days migrated without inverter detail get fetched once and stay consistent.
+async function getPeriodBreakdown(date, period, entries) {
+    if (entries.length < 2) return '';
+    const lines = [];
+    for (const entry of entries) {
+        const kwh = await getPeriodTotal(date, period, [entry.sn]);
+        lines.push(`• *${getDeviceLabel(entry)}:* ${kwh.toFixed(2)} kWh`);
+    }
+    return '\n' + lines.join('\n');
+}
+
+// export [period] [csv|json] [intraday] [plant|inverter] — like history, the period defaults to the current month.
+async function EXPORT_DATA(msg, lang, args = []) {
+    try {
+        const periodGiven = args.length > 0 && isPeriodArg(args[0]);
+        const period = normalizePeriodArg(periodGiven ? args[0] : format(new Date(), 'yyyy-MM'));
+        const rest = periodGiven ? args.slice(1) : args;
+        const options = rest.map(option => option.toLowerCase());
+        const fileFormat = options.includes('json') ? 'json' : 'csv';
+        const withIntraday = options.includes('intraday');
+        const selector = rest.filter(option => !['csv', 'json', 'intraday'].includes(option.toLowerCase())).join(' ');
+        const isDay = /^\d{4}-\d{2}-\d{2}$/.test(period);
+        if (!isValid(parseISO(period))) return formatMarkdown(t('ERROR_EXPORT_FORMAT', lang), msg.chat.id); // e.g. 2026-13 or 2026-02-30
+        if (withIntraday && !isDay) return formatMarkdown(t('ERROR_EXPORT_INTRADAY', lang), msg.chat.id);
+        const entries = await getSelectedEntries(selector ? [selector] : [], lang, msg.chat.id);
+        if (!entries) return;
+        const sns = selector ? entries.map(entry => entry.sn) : null;
+        formatMarkdown(t('FETCHING_HISTORY', lang, { period }), msg.chat.id);
+
+        const rows = await getExportRows(period, sns);
+        const totalKwh = rows.reduce((sum, row) => sum + row.kwh, 0);
+        if (totalKwh <= 0) return formatMarkdown(t('HISTORY_NOT_FOUND', lang, { date: period }), msg.chat.id);
+        const bestDay = rows.filter(row => row.date.length === 10).reduce((best, row) => (row.kwh > best.kwh ? row : best), { date: null, kwh: 0 });
+        const samples = withIntraday ? await getIntradaySamples(parseISO(period), sns) : null;
+        const savings = computeSavings(rows, sns);
+        const summary = {
+            period, devices: entries.map(getDeviceLabel), currency: state.config.currencySymbol,
+            totalKwh: +totalKwh.toFixed(2), totalSavings: +savings.total.toFixed(2), bestDay: bestDay.date ? { date: bestDay.date, kwh: +bestDay.kwh.toFixed(2) } : null
+        };
+
+        let content;
+        if (fileFormat === 'json') {
+            const days = rows.map((row, i) => ({ date: row.date, kwh: +row.kwh.toFixed(2), savings: +savings.values[i].toFixed(2) }));
+            content = JSON.stringify({ ...summary, days, ...(samples ? { intraday: samples.map(sample => ({ time: sample.time.toISOString(), pacW: +sample.value.toFixed(1) })) } : {}) }, null, 2);
+        } else {
+            const lines = [`date,kwh,savings_${summary.currency}`, ...rows.map((row, i) => `${row.date},${row.kwh.toFixed(2)},${savings.values[i].toFixed(2)}`)];
+            lines.push('', `total,${summary.totalKwh.toFixed(2)},${summary.totalSavings.toFixed(2)}`);
+            if (summary.bestDay) lines.push(`best_day,${summary.bestDay.date},${summary.bestDay.kwh.toFixed(2)}`);
+            if (samples) lines.push('', 'time,pac_w', ...samples.map(sample => `${sample.time.toISOString()},${sample.value.toFixed(1)}`));
+            content = lines.join('\n') + '\n';
+        }
+        const caption = t('EXPORT_CAPTION', lang, {
+            period, kwh: summary.totalKwh.toFixed(2), symbol: summary.currency, moneySaved: summary.totalSavings.toFixed(2),
+            bestDay: summary.bestDay ? summary.bestDay.date : '-', bestDayKwh: summary.bestDay ? summary.bestDay.kwh.toFixed(2) : '0.00'
+        });
+        sendFile(Buffer.from(content, 'utf8'), `growatt-${period}.${fileFormat}`, fileFormat === 'json' ? 'application/json' : 'text/csv', caption, msg.chat.id);
+    } catch (e) {
+        console.error("Error in EXPORT_DATA:", e);
+        formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }), msg.chat.id);
+    }
+}
+
+// One row per day; months that only survive as rolled-up totals appear as a single `YYYY-MM` row.
+async function getExportRows(period, sns) {
+    if (period.length === 10) return [{ date: period, kwh: await getPeriodTotal(parseISO(period), 'day', sns) }];
+    const months = period.length === 7 ? [parseISO(`${period}-01`)] : Array.from({ length: 12 }, (_, i) => new Date(parseInt(period, 10), i, 1));
+    const rows = [];
+    for (const monthDate of months) {
+        if (monthDate > new Date()) break;
+        const dailyTotals = await getDailyTotals(monthDate, 'month', sns);
+        if (dailyTotals) {
+            rows.push(...dailyTotals.filter(day => day.date <= new Date()).map(day => ({ date: format(day.date, 'yyyy-MM-dd'), kwh: day.kwh })));
+        } else {
+            rows.push({ date: format(monthDate, 'yyyy-MM'), kwh: await getPeriodTotal(monthDate, 'month', sns) });
+        }
     }
+    return rows;
 }
 
 async function GET_COMPARISON(msg, lang) {
     try {
-        formatMarkdown(t('FETCHING_COMPARISON', lang));
+        formatMarkdown(t('FETCHING_COMPARISON', lang), msg.chat.id);
         const today = new Date();
         const dayComparisonText = compareValues(await getPeriodTotal(today, 'day'), await getPeriodTotal(subDays(today, 1), 'day'), lang);
         const weekComparisonText = compareValues(await getPeriodTotal(today, 'week'), await getPeriodTotal(subWeeks(today, 1), 'week'), lang);
         const monthComparisonText = compareValues(await getPeriodTotal(today, 'month'), await getPeriodTotal(subMonths(today, 1), 'month'), lang);
-        formatMarkdown(t('COMPARE_REPLY', lang, { dayComparison: dayComparisonText, weekComparison: weekComparisonText, monthComparison: monthComparisonText }));
+        formatMarkdown(t('COMPARE_REPLY', lang, { dayComparison: dayComparisonText, weekComparison: weekComparisonText, monthComparison: monthComparisonText }), msg.chat.id);
     } catch (e) {
         console.error("Error in GET_COMPARISON:", e);
-        formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }));
+        formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }), msg.chat.id);
     }
 }
 
@@ -296,14 +1917,16 @@ function compareValues(current, previous, lang) {
     return t('COMPARE_NOT_ENOUGH_DATA', lang);
 }
 
-async function getPeriodTotal(date, period) {
+async function getPeriodTotal(date, period, sns = null) {
     if (period === 'day') {
-        const data = await getGrowattData(true, date);
-        const plant = data && data[Object.keys(data)[0]];
-        if (!plant) return 0;
-        const device = plant.devices && plant.devices[Object.keys(plant.devices)[0]];
-        if (!device || !device.historyLast) return 0;
-        return parseFloat(device.historyLast.eacToday || 0);
+        const dateStr = format(date, 'yyyy-MM-dd');
+        const todayStr = format(new Date(), 'yyyy-MM-dd');
+        if (dateStr > todayStr) return 0;
+        if (dateStr < todayStr) {
+            const stored = getStoredDayTotal(dateStr, sns);
+            if (stored !== null) return stored;
+        }
+        return fetchDayProduction(date, sns);
     }
 
     const options = { weekStartsOn: 1 };
@@ -311,91 +1934,621 @@ async function getPeriodTotal(date, period) {
     if (period === 'week') {
         interval = { start: startOfWeek(date, options), end: endOfWeek(date, options) };
     } else { // month
+        const rolledUp = getRolledUpMonthTotal(format(date, 'yyyy-MM'), sns);
+        if (rolledUp !== null) return rolledUp;
         interval = { start: startOfMonth(date), end: endOfMonth(date) };
     }
 
     let total = 0;
     for (const day of eachDayOfInterval(interval)) {
-        const dayTotal = await getPeriodTotal(day, 'day');
+        const dayTotal = await getPeriodTotal(day, 'day', sns);
         total += dayTotal;
     }
     return total;
 }
 
+// Per-day totals for a week or month, or null when the month only survives as a rolled-up total.
+async function getDailyTotals(date, period, sns = null) {
+    if (period === 'month' && getRolledUpMonthTotal(format(date, 'yyyy-MM'), sns) !== null) return null;
+    const interval = period === 'week'
+        ? { start: startOfWeek(date, { weekStartsOn: 1 }), end: endOfWeek(date, { weekStartsOn: 1 }) }
+        : { start: startOfMonth(date), end: endOfMonth(date) };
+    const totals = [];
+    for (const day of eachDayOfInterval(interval)) {
+        totals.push({ date: day, kwh: await getPeriodTotal(day, 'day', sns) });
+    }
+    return totals;
+}
+
 async function GET_WEATHER(msg, lang) {
     try {
         const data = await getGrowattData();
         const plant = data && data[Object.keys(data)[0]];
-        if (!plant) return formatMarkdown(t('ERROR_NO_PLANT_DATA', lang));
+        if (!plant) return formatMarkdown(t('ERROR_NO_PLANT_DATA', lang), msg.chat.id);
         const weatherData = plant.weather.data.HeWeather6[0].now;
         const iconMap = { "100": "☀️", "101": "☁️", "102": "☁️", "103": "🌤️", "104": "☁️", "300": "🌧️", "305": "🌧️", "306": "🌧️", "307": "🌧️", "400": "❄️" };
-        formatMarkdown(t('WEATHER_REPLY', lang, { icon: iconMap[weatherData.cond_code] || "🌡️", condition: weatherData.cond_txt, temp: weatherData.tmp, feelsLike: weatherData.fl, humidity: weatherData.hum }));
-    } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message })); }
+        formatMarkdown(t('WEATHER_REPLY', lang, { icon: iconMap[weatherData.cond_code] || "🌡️", condition: weatherData.cond_txt, temp: weatherData.tmp, feelsLike: weatherData.fl, humidity: weatherData.hum }), msg.chat.id);
+    } catch (e) { formatMarkdown(t('ERROR_GENERIC', lang, { errorMessage: e.message }), msg.chat.id); }
 }
 
 function GET_HELP(msg, lang) {
     const helpText = [
         t('HELP_HEADER', lang), t('HELP_INTRO', lang), "\n*English | French*", "-----------------------------",
         t('HELP_COMMAND_STATUS', lang), t('HELP_COMMAND_TODAY', lang), t('HELP_COMMAND_TOTAL', lang), t('HELP_COMMAND_MONEY', lang), t('HELP_COMMAND_TOTAL_MONEY', lang),
-        t('HELP_COMMAND_CLEANING', lang), t('HELP_COMMAND_CLEANED', lang), t('HELP_COMMAND_COMPARE', lang), t('HELP_COMMAND_WEATHER', lang), t('HELP_COMMAND_HISTORY', lang), t('HELP_COMMAND_HELP', lang)
+        t('HELP_COMMAND_CLEANING', lang), t('HELP_COMMAND_CLEANED', lang), t('HELP_COMMAND_COMPARE', lang), t('HELP_COMMAND_WEATHER', lang), t('HELP_COMMAND_HISTORY', lang), t('HELP_COMMAND_EXPORT', lang), t('HELP_COMMAND_INCIDENTS', lang), t('HELP_COMMAND_FAULTS', lang), t('HELP_COMMAND_SUBSCRIBE', lang), t('HELP_COMMAND_MENU', lang), t('HELP_COMMAND_CONFIG', lang), t('HELP_COMMAND_HELP', lang),
+        t('HELP_SELECTOR', lang)
     ].join('\n');
-    formatMarkdown(helpText, lang);
+    sendMenu({ text: helpText, keyboard: { inline_keyboard: [[menuButton(t('MENU_OPEN', lang), `menu:${lang}:main`)]] } }, msg.chat.id);
+}
+
+function SET_LANG(msg, lang, args = []) {
+    const result = setConfigFromCommand(msg, lang, 'language', args[0]);
+    if (result) formatMarkdown(t('SET_LANG_SUCCESS', result.value), msg.chat.id);
+}
+
+function SET_COST(msg, lang, args = []) {
+    const result = setConfigFromCommand(msg, lang, 'costPerKwh', args[0]);
+    if (result) formatMarkdown(t('SET_COST_SUCCESS', lang, { cost: result.value.toFixed(3) }), msg.chat.id);
+}
+
+function SET_CLEANING_WEEKS(msg, lang, args = []) {
+    const result = setConfigFromCommand(msg, lang, 'cleaningIntervalWeeks', args[0]);
+    if (result) formatMarkdown(t('SET_CLEANING_WEEKS_SUCCESS', lang, { weeks: result.value }), msg.chat.id);
+}
+
+function SET_TEMP_THRESHOLD(msg, lang, args = []) {
+    const result = setConfigFromCommand(msg, lang, 'tempThreshold', args[0]);
+    if (result) formatMarkdown(t('SET_TEMP_THRESHOLD_SUCCESS', lang, { temp: result.value }), msg.chat.id);
+}
+
+function SET_HISTORY_RETENTION(msg, lang, args = []) {
+    const result = setConfigFromCommand(msg, lang, 'historyRetentionDays', args[0]);
+    if (result) formatMarkdown(t(result.value === 0 ? 'SET_HISTORY_RETENTION_FOREVER' : 'SET_HISTORY_RETENTION_SUCCESS', lang, { days: result.value }), msg.chat.id);
+}
+
+// /config                 list every runtime setting with its allowed values
+// /config history         latest entries of the audit log
+// /config reset <key>     restore a setting's default
+function SET_CONFIG(msg, lang, args = []) {
+    const action = (args[0] || '').toLowerCase();
+    if (!action) {
+        const lines = [t('CONFIG_HEADER', lang)];
+        for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+            const value = state.config[key];
+            const changed = JSON.stringify(value ?? null) !== JSON.stringify(spec.default ?? null);
+            lines.push(t(changed ? 'CONFIG_LINE_CHANGED' : 'CONFIG_LINE', lang, { key, value: formatConfigValue(key, value, lang), range: describeConfigRange(spec) }));
+        }
+        lines.push(t('CONFIG_FOOTER', lang));
+        return formatMarkdown(lines.join('\n'), msg.chat.id);
+    }
+    if (action === 'history') {
+        const entries = state.configAudit.slice(-CONFIG_HISTORY_LIMIT).reverse();
+        if (entries.length === 0) return formatMarkdown(t('CONFIG_HISTORY_EMPTY', lang), msg.chat.id);
+        const lines = [t('CONFIG_HISTORY_HEADER', lang, { count: entries.length, total: state.configAudit.length })];
+        for (const entry of entries) {
+            lines.push(t(entry.action === 'reset' ? 'CONFIG_HISTORY_LINE_RESET' : 'CONFIG_HISTORY_LINE', lang, {
+                time: format(new Date(entry.time), 'yyyy-MM-dd HH:mm'), key: entry.key,
+                previous: formatConfigValue(entry.key, entry.previous, lang), value: formatConfigValue(entry.key, entry.value, lang),
+                name: escapeMarkdown(entry.userName || '?'), id: entry.userId
+            }));
+        }
+        return formatMarkdown(lines.join('\n'), msg.chat.id);
+    }
+    if (action === 'reset') {
+        const key = findConfigKey(args[1]);
+        if (!key) return formatMarkdown(t('ERROR_CONFIG_UNKNOWN_KEY', lang, { key: escapeMarkdown(args[1] || ''), keys: Object.keys(CONFIG_SCHEMA).join(', ') }), msg.chat.id);
+        const { value, error, variables } = checkConfigValue(key, CONFIG_SCHEMA[key].default);
+        if (error) return formatMarkdown(t(error, lang, { key, ...variables }), msg.chat.id);
+        const previous = updateConfig(msg, key, value, 'reset');
+        return formatMarkdown(t('CONFIG_RESET_SUCCESS', lang, { key, previous: formatConfigValue(key, previous, lang), value: formatConfigValue(key, value, lang) }), msg.chat.id);
+    }
+    formatMarkdown(t('ERROR_INVALID_COMMAND', lang), msg.chat.id);
+}
+
+// /set <key> <value>   change any setting listed by /config (`off` clears optional ones)
+function SET_CONFIG_VALUE(msg, lang, args = []) {
+    const key = findConfigKey(args[0]);
+    if (!key) return formatMarkdown(t('ERROR_CONFIG_UNKNOWN_KEY', lang, { key: escapeMarkdown(args[0] || ''), keys: Object.keys(CONFIG_SCHEMA).join(', ') }), msg.chat.id);
+    const result = setConfigFromCommand(msg, lang, key, args.slice(1).join(' '));
+    if (result) formatMarkdown(t('CONFIG_SET_SUCCESS', lang, { key, previous: formatConfigValue(key, result.previous, lang), value: formatConfigValue(key, result.value, lang) }), msg.chat.id);
+}
+
+// /setquiet HH:mm-HH:mm | off
+function SET_QUIET_HOURS(msg, lang, args = []) {
+    const result = setConfigFromCommand(msg, lang, 'quietHours', args[0]);
+    if (!result) return;
+    formatMarkdown(result.value ? t('SET_QUIET_HOURS_SUCCESS', lang, result.value) : t('SET_QUIET_HOURS_OFF', lang), msg.chat.id);
+}
+
+function SET_ESCALATION_INTERVAL(msg, lang, args = []) {
+    const result = setConfigFromCommand(msg, lang, 'escalationIntervalMinutes', args[0]);
+    if (result) formatMarkdown(t(result.value === 0 ? 'SET_ESCALATION_OFF' : 'SET_ESCALATION_SUCCESS', lang, { minutes: result.value, delay: state.config.urgentDelayMinutes }), msg.chat.id);
+}
+
+// /setlocation <latitude> <longitude> | off
+function SET_LOCATION(msg, lang, args = []) {
+    const envNote = PLANT_LOCATION_FROM_ENV ? '\n' + t('SET_LOCATION_ENV_NOTE', lang) : '';
+    if ((args[0] || '').toLowerCase() === 'off') {
+        updateConfig(msg, 'latitude', null); updateConfig(msg, 'longitude', null);
+        return formatMarkdown(t('SET_LOCATION_OFF', lang, { start: state.config.checkHourStart, end: state.config.checkHourEnd }) + envNote, msg.chat.id);
+    }
+    const latitude = parseConfigValue('latitude', args[0]), longitude = parseConfigValue('longitude', args[1]);
+    const invalid = [latitude, longitude].find(result => result.error || result.value === null);
+    if (invalid) return formatMarkdown(t(invalid.error || 'ERROR_INVALID_COMMAND', lang, { key: invalid === latitude ? 'latitude' : 'longitude', ...invalid.variables }), msg.chat.id);
+    updateConfig(msg, 'latitude', latitude.value); updateConfig(msg, 'longitude', longitude.value);
+    const sunTimes = getSunTimes(new Date(), latitude.value, longitude.value);
+    const daylight = sunTimes.polar ? t(sunTimes.polar === 'day' ? 'POLAR_DAY' : 'POLAR_NIGHT', lang) : `${format(sunTimes.sunrise, 'HH:mm')}–${format(sunTimes.sunset, 'HH:mm')}`;
+    formatMarkdown(t('SET_LOCATION_SUCCESS', lang, { latitude: latitude.value, longitude: longitude.value, daylight, irradiance: OUTAGE_MIN_IRRADIANCE_WM2 }) + envNote, msg.chat.id);
+}
+
+// /tariff                                  show all tariff versions
+// /tariff add YYYY-MM-DD <baseRate>         start a new version (copies bands/tiers of the previous one)
+// /tariff band <name> <HH:mm-HH:mm> <rate>  add or replace a time-of-use band
+// /tariff tier <upToKwh|max> <rate>         add or replace a monthly consumption tier
+// /tariff feedin <rate> | selfuse <percent> | consumption <kWh per month>
+// /tariff remove band <name> | remove tier <upToKwh|max> | remove YYYY-MM-DD
+// /tariff clear                             go back to the flat /setcost price
+// Edits apply to the most recent version.
+function SET_TARIFF(msg, lang, args = []) {
+    const [action, ...rest] = args.map(arg => arg.toLowerCase());
+    const rate = (value) => { const number = parseFloat(value); return !isNaN(number) && number >= 0 ? number : null; };
+    const invalid = () => formatMarkdown(t('ERROR_INVALID_COMMAND', lang), msg.chat.id);
+    if (!action) {
+        return formatMarkdown([t('TARIFF_HEADER', lang), ...getTariffVersions().map(version => formatTariff(version, lang))].join('\n\n'), msg.chat.id);
+    }
+    const previousTariffs = structuredClone(state.config.tariffs); // Edits below mutate the current version in place.
+    if (action === 'clear') {
+        state.config.tariffs = []; recordConfigChange(msg, 'tariffs', previousTariffs, []); saveState();
+        return formatMarkdown(t('TARIFF_CLEARED', lang, { cost: state.config.costPerKwh }), msg.chat.id);
+    }
+    if (state.config.tariffs.length === 0) state.config.tariffs = getTariffVersions().map(version => ({ ...version }));
+    const versions = state.config.tariffs;
+    const current = versions[versions.length - 1];
+
+    if (action === 'add') {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(rest[0] || '') || rate(rest[1]) === null) return invalid();
+        const previous = getTariffFor(rest[0]);
+        const version = { ...previous, effectiveFrom: rest[0], baseRate: rate(rest[1]), bands: previous.bands.map(band => ({ ...band })), tiers: previous.tiers.map(tier => ({ ...tier })) };
+        state.config.tariffs = [...versions.filter(other => other.effectiveFrom !== rest[0]), version].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    } else if (action === 'band') {
+        const match = /^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/.exec(rest[1] || '');
+        if (!rest[0] || !match || rate(rest[2]) === null || parseHour(match[1]) >= 24 || parseHour(match[2]) > 24) return invalid();
+        current.bands = [...current.bands.filter(band => band.name !== rest[0]), { name: rest[0], start: match[1], end: match[2], rate: rate(rest[2]) }];
+    } else if (action === 'tier') {
+        const upToKwh = rest[0] === 'max' ? null : parseFloat(rest[0]);
+        if ((upToKwh !== null && !(upToKwh > 0)) || rate(rest[1]) === null) return invalid();
+        current.tiers = [...current.tiers.filter(tier => tier.upToKwh !== upToKwh), { upToKwh, rate: rate(rest[1]) }]
+            .sort((a, b) => (a.upToKwh ?? Infinity) - (b.upToKwh ?? Infinity));
+    } else if (action === 'feedin') {
+        if (rate(rest[0]) === null) return invalid();
+        current.feedInRate = rate(rest[0]);
+    } else if (action === 'selfuse') {
+        const percent = parseFloat(rest[0]);
+        if (isNaN(percent) || percent < 0 || percent > 100) return invalid();
+        current.selfConsumptionRatio = percent / 100;
+    } else if (action === 'consumption') {
+        const kwh = parseFloat(rest[0]);
+        if (isNaN(kwh) || kwh < 0) return invalid();
+        current.monthlyConsumptionKwh = kwh || null;
+    } else if (action === 'remove') {
+        if (rest[0] === 'band') current.bands = current.bands.filter(band => band.name !== rest[1]);
+        else if (rest[0] === 'tier') current.tiers = current.tiers.filter(tier => tier.upToKwh !== (rest[1] === 'max' ? null : parseFloat(rest[1])));
+        else if (/^\d{4}-\d{2}-\d{2}$/.test(rest[0] || '') && versions.length > 1) state.config.tariffs = versions.filter(version => version.effectiveFrom !== rest[0]);
+        else return invalid();
+    } else {
+        return invalid();
+    }
+    recordConfigChange(msg, 'tariffs', previousTariffs, structuredClone(state.config.tariffs));
+    saveState();
+    formatMarkdown(t('TARIFF_UPDATED', lang) + '\n\n' + formatTariff(state.config.tariffs[state.config.tariffs.length - 1], lang), msg.chat.id);
+}
+
+function formatSubscription(subscriber, lang) {
+    return t('SUBSCRIPTION_STATUS', lang, {
+        categories: subscriber.categories.map(category => `\`${category}\``).join(', ') || '-',
+        language: subscriber.language.toUpperCase(),
+        onCall: t(subscriber.onCall ? 'ON_CALL_YES' : 'ON_CALL_NO', lang)
+    });
+}
+
+function GET_INCIDENTS(msg, lang) {
+    pruneIncidents();
+    const open = state.incidents.list.filter(incident => !incident.resolvedAt);
+    const resolved = state.incidents.list.filter(incident => incident.resolvedAt).reverse();
+    if (open.length === 0 && resolved.length === 0) return formatMarkdown(t('INCIDENTS_NONE', lang, { days: INCIDENT_HISTORY_DAYS }), msg.chat.id);
+    const lines = [t('INCIDENTS_HEADER', lang)];
+    if (open.length > 0) {
+        lines.push(t('INCIDENTS_OPEN', lang));
+        for (const incident of open) {
+            const status = incident.acknowledgedAt ? t('INCIDENT_STATUS_ACK', lang, { name: escapeMarkdown(incident.acknowledgedBy) })
+                : incident.snoozedUntil && new Date() < new Date(incident.snoozedUntil) ? t('INCIDENT_STATUS_SNOOZED', lang, { time: format(new Date(incident.snoozedUntil), 'HH:mm') })
+                : t('INCIDENT_STATUS_NEW', lang);
+            lines.push(t('INCIDENT_LINE_OPEN', lang, { id: incident.id, type: getIncidentTypeLabel(incident, lang), device: incident.label, duration: formatDuration(getIncidentMinutes(incident)), status }));
+        }
+    }
+    if (resolved.length > 0) {
+        lines.push(t('INCIDENTS_RECENT', lang, { days: INCIDENT_HISTORY_DAYS }));
+        for (const incident of resolved) {
+            lines.push(t('INCIDENT_LINE_RESOLVED', lang, { id: incident.id, type: getIncidentTypeLabel(incident, lang), device: incident.label, duration: formatDuration(getIncidentMinutes(incident)) }));
+        }
+    }
+    formatMarkdown(lines.join('\n'), msg.chat.id);
+}
+
+function GET_FAULTS(msg, lang) {
+    const cutoff = subDays(new Date(), FAULT_HISTORY_DAYS);
+    const events = state.faults.events.filter(event => new Date(event.time) >= cutoff).slice(-FAULT_LIST_LIMIT).reverse();
+    const limits = { days: FAULT_HISTORY_DAYS, min: state.config.gridVoltageMin, max: state.config.gridVoltageMax };
+    if (events.length === 0) return formatMarkdown(t('FAULTS_NONE', lang, limits), msg.chat.id);
+    const lines = [t('FAULTS_HEADER', lang, limits)];
+    for (const event of events) {
+        lines.push(t('FAULT_LINE', lang, { time: format(new Date(event.time), 'yyyy-MM-dd HH:mm'), device: event.label, description: describeFaultEvent(event, lang) }));
+    }
+    formatMarkdown(lines.join('\n'), msg.chat.id);
+}
+
+// /subscribe [all|category ...] [en|fr] — in a private chat. Without arguments it subscribes to everything, or shows the current settings.
+function SUBSCRIBE(msg, lang, args = []) {
+    if (msg.chat.type !== 'private') return formatMarkdown(t('ERROR_SUBSCRIBE_PRIVATE', lang), msg.chat.id);
+    const chatId = String(msg.chat.id);
+    const existing = state.subscribers[chatId];
+    const options = args.map(arg => arg.toLowerCase());
+    if (options.length === 0 && existing) return formatMarkdown(formatSubscription(existing, lang), msg.chat.id);
+    const invalid = options.filter(option => option !== 'all' && option !== 'en' && option !== 'fr' && !ALERT_CATEGORIES[option]);
+    if (invalid.length > 0) {
+        return formatMarkdown(t('ERROR_SUBSCRIBE_CATEGORY', lang, { category: invalid.join(', '), categories: Object.keys(ALERT_CATEGORIES).join(', ') }), msg.chat.id);
+    }
+    const language = options.find(option => option === 'en' || option === 'fr') || existing?.language || lang;
+    const chosen = options.filter(option => ALERT_CATEGORIES[option]);
+    const categories = chosen.length > 0 && !options.includes('all') ? chosen : (!options.includes('all') && existing?.categories) || Object.keys(ALERT_CATEGORIES);
+    state.subscribers[chatId] = { userId: msg.from.id, name: msg.from.first_name || msg.from.username || String(msg.from.id), language, categories, onCall: existing?.onCall || false };
+    saveState();
+    formatMarkdown(t('SUBSCRIBE_SUCCESS', language) + '\n' + formatSubscription(state.subscribers[chatId], language), msg.chat.id);
+}
+
+function UNSUBSCRIBE(msg, lang) {
+    const chatId = String(msg.chat.id);
+    if (!state.subscribers[chatId]) return formatMarkdown(t('ERROR_NOT_SUBSCRIBED', lang), msg.chat.id);
+    delete state.subscribers[chatId];
+    saveState();
+    formatMarkdown(t('UNSUBSCRIBE_SUCCESS', lang), msg.chat.id);
+}
+
+// /oncall [on|off] toggles whether the subscriber is mentioned in, and sent, urgent alerts whatever their categories.
+function TOGGLE_ON_CALL(msg, lang, args = []) {
+    const subscriber = state.subscribers[String(msg.chat.id)];
+    if (!subscriber) return formatMarkdown(t('ERROR_NOT_SUBSCRIBED', lang), msg.chat.id);
+    const option = (args[0] || '').toLowerCase();
+    if (option && !['on', 'off', 'oui', 'non'].includes(option)) return formatMarkdown(t('ERROR_INVALID_COMMAND', lang), msg.chat.id);
+    subscriber.onCall = option ? option === 'on' || option === 'oui' : !subscriber.onCall;
+    saveState();
+    formatMarkdown(t(subscriber.onCall ? 'ON_CALL_ENABLED' : 'ON_CALL_DISABLED', lang), msg.chat.id);
+}
+
+// --- Menus & buttons ---
+// Commands registered with Telegram so they are suggested when typing "/". Telegram only accepts [a-z0-9_] names, hence
+// "aujourdhui" and "defauts"; the message handler drops the slash and any @BotName suffix before looking up commandMap.
+const BOT_COMMANDS = [
+    { key: 'STATUS', en: 'status', fr: 'statut' }, { key: 'TODAY', en: 'today', fr: 'aujourdhui' },
+    { key: 'MONEY', en: 'money', fr: 'argent' }, { key: 'COMPARE', en: 'compare', fr: 'comparer' },
+    { key: 'WEATHER', en: 'weather', fr: 'meteo' }, { key: 'HISTORY', en: 'history', fr: 'historique' },
+    { key: 'EXPORT', en: 'export', fr: 'exporter' }, { key: 'INCIDENTS', en: 'incidents', fr: 'pannes' },
+    { key: 'FAULTS', en: 'faults', fr: 'defauts' }, { key: 'CLEANING', en: 'cleaning', fr: 'nettoyage' },
+    { key: 'SUBSCRIBE', en: 'subscribe', fr: 'abonner' }, { key: 'MENU', en: 'menu', fr: 'menu' },
+    { key: 'HELP', en: 'help', fr: 'aide' }
+];
+// Only shown to the group's administrators, through the chat_administrators scope.
+const ADMIN_BOT_COMMANDS = [
+    { key: 'CONFIG', en: 'config', fr: 'config' }, { key: 'SET', en: 'set', fr: 'set' }, { key: 'TARIFF', en: 'tariff', fr: 'tarif' }
+];
+const MENU_YEARS = 6; // Years offered by the history picker, counting the current one.
+
+async function registerBotCommands() {
+    const toCommands = (commands, lang) => commands.map(command => ({ command: command[lang], description: t(`BOT_COMMAND_${command.key}`, lang) }));
+    const adminScope = { type: 'chat_administrators', chat_id: TELEGRAM_GROUP_ID };
+    try {
+        for (const lang of ['en', 'fr']) {
+            const form = lang === 'en' ? {} : { language_code: lang }; // English is the default for every other client language.
+            await bot.setMyCommands(toCommands(BOT_COMMANDS, lang), form);
+            await bot.setMyCommands(toCommands([...BOT_COMMANDS, ...ADMIN_BOT_COMMANDS], lang), { ...form, scope: adminScope });
+        }
+    } catch (e) { console.error(`Failed to register bot commands: ${e.response?.body?.description || e.message}`); }
+}
+
+function chunk(items, size) {
+    const rows = [];
+    for (let i = 0; i < items.length; i += size) rows.push(items.slice(i, i + size));
+    return rows;
+}
+
+function menuButton(text, data) { return { text, callback_data: data }; }
+
+// Menus are { text, keyboard } pairs, sent with sendMenu and replaced in place by editMenu as the user navigates.
+function getMainMenu(lang) {
+    return {
+        text: t('MENU_HEADER', lang),
+        keyboard: { inline_keyboard: [
+            [menuButton(t('MENU_STATUS', lang), `menu:${lang}:status`), menuButton(t('MENU_TODAY', lang), `menu:${lang}:today`)],
+            [menuButton(t('MENU_COMPARE', lang), `menu:${lang}:compare`), menuButton(t('MENU_HISTORY', lang), `menu:${lang}:history`)],
+            [menuButton(t('MENU_SETTINGS', lang), `config:${lang}:list`)]
+        ] }
+    };
+}
+
+function getYearMenu(lang) {
+    const currentYear = new Date().getFullYear();
+    const years = Array.from({ length: MENU_YEARS }, (_, i) => currentYear - MENU_YEARS + 1 + i);
+    return {
+        text: t('MENU_PICK_YEAR', lang),
+        keyboard: { inline_keyboard: [
+            ...chunk(years.map(year => menuButton(String(year), `menu:${lang}:year:${year}`)), 3),
+            [menuButton(t('MENU_BACK', lang), `menu:${lang}:main`)]
+        ] }
+    };
+}
+
+// Months still to come in the current year are left out.
+function getMonthMenu(lang, year) {
+    const now = new Date();
+    const lastMonth = year === now.getFullYear() ? now.getMonth() : 11;
+    const months = getChartLabels('CHART_MONTHS', lang).slice(0, lastMonth + 1)
+        .map((label, i) => menuButton(label, `menu:${lang}:period:${year}-${String(i + 1).padStart(2, '0')}`));
+    return {
+        text: t('MENU_PICK_MONTH', lang, { year }),
+        keyboard: { inline_keyboard: [
+            ...chunk(months, 4),
+            [menuButton(t('MENU_WHOLE_YEAR', lang, { year }), `menu:${lang}:period:${year}`)],
+            [menuButton(t('MENU_BACK', lang), `menu:${lang}:history`)]
+        ] }
+    };
+}
+
+function getConfigMenu(lang) {
+    return {
+        text: t('CONFIG_MENU_HEADER', lang),
+        keyboard: { inline_keyboard: [
+            ...chunk(Object.keys(CONFIG_SCHEMA).map(key => menuButton(key, `config:${lang}:show:${key}`)), 2),
+            [menuButton(t('MENU_BACK', lang), `menu:${lang}:main`)]
+        ] }
+    };
+}
+
+// Offers the allowed values of an enum, or -step/+step around the current number; anything else still needs /set.
+function getConfigKeyMenu(lang, key) {
+    const spec = CONFIG_SCHEMA[key];
+    const value = state.config[key];
+    let choices = [];
+    if (spec.type === 'enum') {
+        choices = spec.values.map(option => menuButton(option === value ? `• ${option}` : option, `config:${lang}:set:${key}:${option}`));
+    } else if (spec.step && typeof value === 'number') {
+        choices = [-spec.step, spec.step].map(delta => +(value + delta).toFixed(4))
+            .filter(next => next >= spec.min && next <= spec.max)
+            .map(next => menuButton(`${next > value ? '+' : '−'} ${next}`, `config:${lang}:set:${key}:${next}`));
+    }
+    if (spec.nullable && value !== null) choices.push(menuButton(t('CONFIG_OFF', lang), `config:${lang}:set:${key}:off`));
+    return {
+        text: t('CONFIG_MENU_SETTING', lang, { key, value: formatConfigValue(key, value, lang), range: describeConfigRange(spec), default: formatConfigValue(key, spec.default, lang) }),
+        keyboard: { inline_keyboard: [
+            ...chunk(choices, 3),
+            [menuButton(t('CONFIG_MENU_RESET', lang), `config:${lang}:reset:${key}`), menuButton(t('MENU_BACK', lang), `config:${lang}:list`)]
+        ] }
+    };
+}
+
+function sendMenu(menu, chatId = TELEGRAM_GROUP_ID) {
+    notifiers.telegram.send(menu.text, { chatId, keyboard: menu.keyboard })
+        .catch(e => console.error(`Failed to send menu: ${e.response?.body || e.message}`));
+}
+
+function editMenu(query, menu) {
+    return bot.editMessageText(menu.text, { chat_id: query.message?.chat.id, message_id: query.message?.message_id, parse_mode: 'Markdown', reply_markup: menu.keyboard })
+        .catch(e => console.error(`Failed to update menu: ${e.response?.body?.description || e.message}`));
+}
+
+// Buttons that answer like the matching command, in the chat the menu was opened in. The menu itself stays as it is.
+const MENU_ACTIONS = {
+    status: (msg, lang) => GET_STATUS(msg, lang),
+    today: (msg, lang) => GET_TODAY(msg, lang),
+    compare: (msg, lang) => GET_COMPARISON(msg, lang),
+    period: (msg, lang, period) => /^\d{4}(-\d{2})?$/.test(period || '') && GET_HISTORY(msg, lang, [period])
+};
+
+async function handleMenuButton(query, [lang, view, arg]) {
+    lang = lang === 'fr' ? 'fr' : 'en';
+    if (MENU_ACTIONS[view]) {
+        answerButton(query);
+        return MENU_ACTIONS[view]({ chat: query.message?.chat, from: query.from }, lang, arg);
+    }
+    const year = parseInt(arg, 10);
+    const menu = view === 'main' ? getMainMenu(lang)
+        : view === 'history' ? getYearMenu(lang)
+        : view === 'year' && year > 0 ? getMonthMenu(lang, year)
+        : null;
+    if (menu) await editMenu(query, menu);
+    answerButton(query);
+}
+
+// Settings buttons go through the same admin check, validation and audit log as /set and /config reset.
+async function handleConfigButton(query, [lang, action, key, ...rest]) {
+    lang = lang === 'fr' ? 'fr' : 'en';
+    if (!(await isAdmin(query.from.id))) return answerButton(query, { text: stripMarkdown(t('ERROR_NOT_ADMIN', lang)), show_alert: true });
+    if (action === 'list') {
+        await editMenu(query, getConfigMenu(lang));
+        return answerButton(query);
+    }
+    if (!CONFIG_SCHEMA[key]) return answerButton(query);
+    let notice;
+    if (action === 'set' || action === 'reset') {
+        const result = action === 'reset' ? checkConfigValue(key, CONFIG_SCHEMA[key].default) : parseConfigValue(key, rest.join(':'));
+        if (result.error) return answerButton(query, { text: stripMarkdown(t(result.error, lang, { key, ...result.variables })), show_alert: true });
+        const previous = updateConfig({ from: query.from, chat: query.message?.chat }, key, result.value, action);
+        notice = t('CONFIG_MENU_SAVED', lang, { key, previous: formatConfigValue(key, previous, lang), value: formatConfigValue(key, result.value, lang) });
+    }
+    await editMenu(query, getConfigKeyMenu(lang, key));
+    answerButton(query, notice ? { text: notice } : {});
+}
+
+// /menu — buttons follow the language of the user's Telegram client, since the command is the same in English and French.
+function GET_MENU(msg, lang) {
+    const menuLang = msg.from.language_code?.startsWith('fr') ? 'fr' : lang;
+    sendMenu(getMainMenu(menuLang), msg.chat.id);
 }
 
-function SET_LANG(msg, lang) {
-    const newLang = msg.text.split(' ')[1];
-    if (newLang === 'en' || newLang === 'fr') { state.config.language = newLang; saveState(); formatMarkdown(t('SET_LANG_SUCCESS', newLang)); } 
-    else { formatMarkdown(t('ERROR_INVALID_COMMAND', lang)); }
+// =================================================================
+// --- 🌍 9. HTTP DASHBOARD & API ---
+// =================================================================
+// Read-only, token-protected. Send `Authorization: Bearer <HTTP_TOKEN>` or add `?token=<HTTP_TOKEN>` (the web page keeps it in its links).
+//   GET /              today's power curve and this month's daily totals
+//   GET /api/status    live snapshot, like `status` (optional ?selector=)
+//   GET /api/history   ?period=YYYY | YYYY-MM | YYYY-MM-DD (optional ?selector=), same data as `history` / `export`
+//   GET /api/config    current settings
+//   GET /api/alerts    open and recently resolved incidents
+//   GET /healthz       last Growatt fetch and Telegram send; 503 when the latest attempt of either failed
+const DASHBOARD_CACHE_MS = 5 * 60000;
+let dashboardCache = { html: null, timestamp: 0 };
+
+function isAuthorizedRequest(req, url) {
+    const header = req.headers.authorization || '';
+    const supplied = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : (url.searchParams.get('token') || ''));
+    const expected = Buffer.from(HTTP_TOKEN);
+    return supplied.length === expected.length && crypto.timingSafeEqual(supplied, expected);
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body, null, 2));
 }
 
-function SET_COST(msg, lang) {
-    const cost = parseFloat(msg.text.split(' ')[1]);
-    if (!isNaN(cost) && cost > 0) { state.config.costPerKwh = cost; saveState(); formatMarkdown(t('SET_COST_SUCCESS', lang, { cost: cost.toFixed(3) })); } 
-    else { formatMarkdown(t('ERROR_INVALID_COMMAND', lang)); }
+async function getApiEntries(url) {
+    const data = await getGrowattData();
+    return selectDeviceEntries(data || {}, url.searchParams.get('selector') || '');
 }
 
-function SET_CLEANING_WEEKS(msg, lang) {
-    const weeks = parseInt(msg.text.split(' ')[1], 10);
-    if (!isNaN(weeks) && weeks > 0) { state.config.cleaningIntervalWeeks = weeks; saveState(); formatMarkdown(t('SET_CLEANING_WEEKS_SUCCESS', lang, { weeks })); } 
-    else { formatMarkdown(t('ERROR_INVALID_COMMAND', lang)); }
+const httpRoutes = {
+    '/healthz': async () => {
+        const failing = Object.values(health).some(component => component.lastFailure && (!component.lastSuccess || component.lastFailure > component.lastSuccess));
+        return [failing ? 503 : 200, { status: failing ? 'degraded' : 'ok', uptimeSeconds: Math.round(process.uptime()), ...health }];
+    },
+    '/api/status': async (url) => {
+        const entries = await getApiEntries(url);
+        if (entries.length === 0) return [404, { error: 'No matching plant or inverter.' }];
+        return [200, { ...summarizeStatus(entries), devices: entries.map(buildSnapshot), timestamp: new Date(apiCache.timestamp || Date.now()).toISOString() }];
+    },
+    '/api/history': async (url) => {
+        const period = normalizePeriodArg(url.searchParams.get('period') || format(new Date(), 'yyyy-MM'));
+        if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(period)) return [400, { error: 'period must be YYYY, YYYY-MM or YYYY-MM-DD.' }];
+        const selector = url.searchParams.get('selector');
+        const entries = selector ? await getApiEntries(url) : null;
+        if (entries && entries.length === 0) return [404, { error: 'No matching plant or inverter.' }];
+        const rows = await getExportRows(period, entries ? entries.map(entry => entry.sn) : null);
+        return [200, { period, totalKwh: +rows.reduce((sum, row) => sum + row.kwh, 0).toFixed(2), days: rows }];
+    },
+    '/api/config': async () => [200, state.config],
+    '/api/alerts': async () => [200, { open: state.incidents.list.filter(incident => !incident.resolvedAt), recent: state.incidents.list.filter(incident => incident.resolvedAt) }]
+};
+
+async function renderDashboard(token) {
+    if (dashboardCache.html && Date.now() - dashboardCache.timestamp < DASHBOARD_CACHE_MS) return dashboardCache.html;
+    const lang = state.config.language;
+    const today = new Date();
+    const entries = getDeviceEntries(await getGrowattData());
+    const status = summarizeStatus(entries);
+    const points = await getIntradaySamples(today).catch(() => []);
+    const dailyTotals = await getDailyTotals(today, 'month') || [];
+    const monthKwh = dailyTotals.reduce((sum, day) => sum + day.kwh, 0);
+    const toImage = (png) => png ? `<img alt="" src="data:image/png;base64,${png.toString('base64')}">` : '';
+    const todayChart = points.length >= 2 && tryRenderChart(() => renderLineChart({ title: t('CHART_TITLE_TODAY', lang, { date: format(today, 'yyyy-MM-dd') }), points, unit: 'W' }));
+    const monthChart = dailyTotals.length > 0 && tryRenderChart(() => renderBarChart({ title: t('CHART_TITLE_MONTH', lang, { month: format(today, 'yyyy-MM') }), labels: dailyTotals.map(day => format(day.date, 'd')), values: dailyTotals.map(day => day.kwh), unit: 'kWh' }));
+    const openIncidents = state.incidents.list.filter(incident => !incident.resolvedAt);
+    const query = `?token=${encodeURIComponent(token)}`;
+    dashboardCache.html = `<!DOCTYPE html>
+<html lang="${lang}"><head><meta charset="utf-8"><meta http-equiv="refresh" content="300"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Growatt</title><style>body{font-family:sans-serif;max-width:820px;margin:1em auto;padding:0 1em;color:#333}img{max-width:100%}td{padding:.2em 1em .2em 0}</style></head><body>
+<h1>☀️ ${escapeHtml(entries.map(entry => entry.plant.plantName).filter((name, i, names) => name && names.indexOf(name) === i).join(', ') || 'Growatt')}</h1>
+<table><tr><td>${escapeHtml(stripMarkdown(t('DASHBOARD_POWER', lang)))}</td><td><b>${status.pac.toFixed(1)} W</b></td></tr>
+<tr><td>${escapeHtml(stripMarkdown(t('DASHBOARD_TODAY', lang)))}</td><td><b>${status.eToday.toFixed(2)} kWh</b></td></tr>
+<tr><td>${escapeHtml(stripMarkdown(t('DASHBOARD_MONTH', lang)))}</td><td><b>${monthKwh.toFixed(2)} kWh</b></td></tr>
+<tr><td>${escapeHtml(stripMarkdown(t('DASHBOARD_INCIDENTS', lang)))}</td><td><b>${openIncidents.length}</b></td></tr></table>
+${toImage(todayChart)}
+${toImage(monthChart)}
+<p><small>${format(today, 'yyyy-MM-dd HH:mm')} · <a href="/api/status${query}">status</a> · <a href="/api/history${query}">history</a> · <a href="/api/alerts${query}">alerts</a> · <a href="/api/config${query}">config</a></small></p>
+</body></html>`;
+    dashboardCache.timestamp = Date.now();
+    return dashboardCache.html;
 }
 
-function SET_TEMP_THRESHOLD(msg, lang) {
-    const temp = parseInt(msg.text.split(' ')[1], 10);
-    if (!isNaN(temp) && temp > 30) { state.config.tempThreshold = temp; saveState(); formatMarkdown(t('SET_TEMP_THRESHOLD_SUCCESS', lang, { temp })); } 
-    else { formatMarkdown(t('ERROR_INVALID_COMMAND', lang)); }
+// Returns the listening server, or null when the dashboard is disabled.
+function startHttpServer() {
+    if (!HTTP_PORT) return null;
+    if (!HTTP_TOKEN) { console.error("HTTP_PORT is set but HTTP_TOKEN is not; the dashboard stays disabled."); return null; }
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed.' });
+        if (!isAuthorizedRequest(req, url)) return sendJson(res, 401, { error: 'Unauthorized.' });
+        try {
+            if (url.pathname === '/') {
+                const token = url.searchParams.get('token') || (req.headers.authorization || '').slice(7);
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+                return res.end(await renderDashboard(token));
+            }
+            const route = httpRoutes[url.pathname];
+            if (!route) return sendJson(res, 404, { error: 'Not found.' });
+            const [statusCode, body] = await route(url);
+            sendJson(res, statusCode, body);
+        } catch (e) {
+            console.error(`HTTP ${url.pathname} failed:`, e.message); // The detail stays in the log; clients only learn that it failed.
+            sendJson(res, 500, { error: 'Internal error.' });
+        }
+    });
+    server.on('error', e => console.error("HTTP server error:", e.message));
+    server.listen(HTTP_PORT, HTTP_HOST, () => console.log(`Dashboard listening on http://${HTTP_HOST}:${HTTP_PORT}/`));
+    return server;
 }
 
 // =================================================================
-// --- 🕒 4. SCHEDULED TASKS ---
+// --- 🕒 10. SCHEDULED TASKS ---
 // =================================================================
-cron.schedule('59 19 * * *', () => runDailyEveningChecks());
-cron.schedule('0 21 * * 0', () => runWeeklyReport());
-cron.schedule('0 21 1 * *', () => runMonthlyReport());
-cron.schedule('5 * * * *', () => runHourlyChecks());
-cron.schedule('*/15 * * * *', () => checkUrgentConditions());
+function scheduleTasks() {
+    cron.schedule('59 19 * * *', () => runDailyEveningChecks());
+    cron.schedule('0 21 * * 0', () => runWeeklyReport());
+    cron.schedule('0 21 1 * *', () => runMonthlyReport());
+    cron.schedule('5 * * * *', () => runHourlyChecks());
+    cron.schedule('*/5 * * * *', () => checkEscalations());
+    cron.schedule('* * * * *', () => flushOutbox());
+}
 
 async function runDailyEveningChecks() {
     console.log("Running daily evening checks...");
     try {
         const data = await getGrowattData(true);
-        const plant = data && data[Object.keys(data)[0]];
-        if (!plant) return;
-        const device = plant.devices && plant.devices[Object.keys(plant.devices)[0]];
-        if (!device) return;
-        const eToday = parseFloat(device.deviceData.eToday);
-        const eTotal = parseFloat(plant.plantData.eTotal);
+        const entries = getDeviceEntries(data);
+        if (entries.length === 0) return;
+        const eToday = +entries.reduce((sum, entry) => sum + getDeviceTodayKwh(entry), 0).toFixed(2);
+        const eTotal = getLifetimeKwh(entries);
         const todayStr = format(new Date(), 'yyyy-MM-dd');
+        for (const entry of entries) {
+            recordDayProduction(todayStr, entry.sn, { kwh: entry.device.deviceData?.eToday, final: true });
+        }
+        checkPerformance(entries, todayStr);
+        pruneHistory();
         if (eToday > (state.stats.bestDay.kwh || 0)) {
-            formatMarkdown(t('BEST_DAY_MESSAGE', null, { kwh: eToday, old_kwh: state.stats.bestDay.kwh || 0 }));
+            notify('BEST_DAY_MESSAGE', lang => t('BEST_DAY_MESSAGE', lang, { kwh: eToday, old_kwh: state.stats.bestDay.kwh || 0 }));
             state.stats.bestDay = { date: todayStr, kwh: eToday };
         }
         if (eTotal >= state.stats.nextMilestoneKwh) {
-            formatMarkdown(t('MILESTONE_MESSAGE', null, { milestone: state.stats.nextMilestoneKwh }));
-            state.stats.nextMilestoneKwh = Math.floor(eTotal / MILESTONE_STEP_KWH) * MILESTONE_STEP_KWH + MILESTONE_STEP_KWH;
+            notify('MILESTONE_MESSAGE', lang => t('MILESTONE_MESSAGE', lang, { milestone: state.stats.nextMilestoneKwh }));
+            state.stats.nextMilestoneKwh = Math.floor(eTotal / state.config.milestoneStepKwh) * state.config.milestoneStepKwh + state.config.milestoneStepKwh;
         }
-        if (differenceInDays(new Date(), new Date(state.stats.lastReminderDate)) >= state.config.cleaningIntervalWeeks * 7) {
-            formatMarkdown(t('CLEANING_REMINDER', null, { weeks: state.config.cleaningIntervalWeeks }));
+        // With enough sunny days on record, soiling shows up as a drop against the baseline; the fixed interval is the fallback.
+        const sunnyRatio = getRecentSunnyRatio();
+        const daysSinceCleaning = differenceInDays(new Date(), new Date(state.stats.lastReminderDate));
+        if (sunnyRatio !== null) {
+            if (sunnyRatio < CLEANING_RATIO_THRESHOLD && daysSinceCleaning >= 7) {
+                notify('CLEANING_SUGGESTION', lang => t('CLEANING_SUGGESTION', lang, { percent: Math.round(sunnyRatio * 100), days: CLEANING_SUNNY_DAYS }));
+                state.stats.lastReminderDate = new Date();
+            }
+        } else if (daysSinceCleaning >= state.config.cleaningIntervalWeeks * 7) {
+            notify('CLEANING_REMINDER', lang => t('CLEANING_REMINDER', lang, { weeks: state.config.cleaningIntervalWeeks }));
             state.stats.lastReminderDate = new Date();
         }
         saveState();
@@ -409,12 +2562,19 @@ async function runWeeklyReport() {
         const lastWeekStart = startOfWeek(subDays(today, 7), { weekStartsOn: 1 });
         const lastWeekEnd = endOfWeek(subDays(today, 7), { weekStartsOn: 1 });
         let totalKwh = 0, bestDayKwh = 0, bestDayDate = '';
+        const dailyValues = [], rows = [];
         for (const day of eachDayOfInterval({ start: lastWeekStart, end: lastWeekEnd })) {
             const kwh = await getPeriodTotal(day, 'day');
             totalKwh += kwh;
-            if (kwh > bestDayKwh) { bestDayKwh = kwh; bestDayDate = t(format(day, 'EEEE').toLowerCase(), 'en'); }
+            dailyValues.push(kwh);
+            rows.push({ date: format(day, 'yyyy-MM-dd'), kwh });
+            if (kwh > bestDayKwh) { bestDayKwh = kwh; bestDayDate = format(day, 'EEEE').toLowerCase(); }
+        }
+        if (totalKwh > 0) {
+            const image = tryRenderChart(() => renderBarChart({ title: t('CHART_TITLE_WEEK', null, { start: format(lastWeekStart, 'yyyy-MM-dd'), end: format(lastWeekEnd, 'yyyy-MM-dd') }), labels: getChartLabels('CHART_WEEKDAYS', null), values: dailyValues, unit: 'kWh' }));
+            const moneySaved = computeSavings(rows).total.toFixed(2);
+            notify('WEEKLY_REPORT', lang => t('WEEKLY_REPORT', lang, { kwh: totalKwh.toFixed(2), bestDay: t(bestDayDate, lang), bestDayKwh: bestDayKwh.toFixed(2) }) + '\n' + t('REPORT_SAVINGS', lang, { symbol: state.config.currencySymbol, moneySaved }), { image });
         }
-        if (totalKwh > 0) { formatMarkdown(t('WEEKLY_REPORT', null, { kwh: totalKwh.toFixed(2), bestDay: bestDayDate, bestDayKwh: bestDayKwh.toFixed(2) })); }
     } catch(e) { console.error("Weekly report failed:", e.message); }
 }
 
@@ -426,70 +2586,173 @@ async function runMonthlyReport() {
         const lastMonthEnd = endOfMonth(lastMonthStart);
         let totalKwh = 0;
         const daysInMonth = differenceInDays(lastMonthEnd, lastMonthStart) + 1;
-        for (const day of eachDayOfInterval({ start: lastMonthStart, end: lastMonthEnd })) {
-            totalKwh += await getPeriodTotal(day, 'day');
+        const dailyTotals = await getDailyTotals(lastMonthStart, 'month');
+        if (dailyTotals) {
+            totalKwh = dailyTotals.reduce((sum, day) => sum + day.kwh, 0);
+        } else {
+            totalKwh = await getPeriodTotal(lastMonthStart, 'month');
+        }
+        if (totalKwh > 0) {
+            const image = dailyTotals && tryRenderChart(() => renderBarChart({ title: t('CHART_TITLE_MONTH', null, { month: format(lastMonthStart, 'yyyy-MM') }), labels: dailyTotals.map(day => format(day.date, 'd')), values: dailyTotals.map(day => day.kwh), unit: 'kWh' }));
+            const rows = dailyTotals ? dailyTotals.map(day => ({ date: format(day.date, 'yyyy-MM-dd'), kwh: day.kwh })) : [{ date: format(lastMonthStart, 'yyyy-MM'), kwh: totalKwh }];
+            const moneySaved = computeSavings(rows).total.toFixed(2);
+            notify('MONTHLY_REPORT', lang => t('MONTHLY_REPORT', lang, { kwh: totalKwh.toFixed(2), avgKwh: (totalKwh / daysInMonth).toFixed(2) }) + '\n' + t('REPORT_SAVINGS', lang, { symbol: state.config.currencySymbol, moneySaved }), { image: image || undefined });
         }
-        if (totalKwh > 0) { formatMarkdown(t('MONTHLY_REPORT', null, { kwh: totalKwh.toFixed(2), avgKwh: (totalKwh / daysInMonth).toFixed(2) })); }
     } catch(e) { console.error("Monthly report failed:", e.message); }
 }
 
+function getDeviceStatus(sn) {
+    if (!state.status.devices[sn]) {
+        state.status.devices[sn] = { label: sn };
+    }
+    return state.status.devices[sn];
+}
+
 async function runHourlyChecks() {
     console.log("Running hourly checks...");
-    const currentHour = new Date().getHours();
-    if (currentHour < CHECK_HOUR_START || currentHour > CHECK_HOUR_END) {
-        console.log("Outside active window. Resetting daytime alerts.");
-        if(state.status.isSystemDown) {
-            state.status.isSystemDown = false; state.status.outageStartTime = null; state.status.urgentAlertSent = false;
+    const monitoringWindow = getMonitoringWindow();
+    if (!monitoringWindow.isDaylight) {
+        // Darkness explains a silent inverter, not a stale logger, a fault or the grid: those stay open until a reading clears them.
+        console.log("Outside daylight. Closing open outages.");
+        const openOutages = state.incidents.list.filter(incident => !incident.resolvedAt && incident.type === 'outage');
+        if (openOutages.length > 0) {
+            openOutages.forEach(incident => resolveIncident(incident, { silent: true }));
             saveState();
         }
         return;
     }
-    console.log("Inside active window. Performing all daytime checks...");
+    console.log(`Inside daylight window (clear-sky irradiance: ${monitoringWindow.irradiance ?? 'n/a'} W/m²). Performing daytime checks...`);
     try {
-        const data = await getGrowattData(true);
-        const plant = data && data[Object.keys(data)[0]];
-        if (!plant) return;
-        const device = plant.devices && plant.devices[Object.keys(plant.devices)[0]];
-        if (!device) return;
-        const pac = device.historyLast.pac;
-        const temp = device.historyLast.temperature;
-        const lastUpdate = new Date(device.deviceData.lastUpdateTime);
-        const hoursSinceUpdate = differenceInHours(new Date(), lastUpdate);
-        console.log(`Hourly Check: Temp=${temp}°C, PAC=${pac}W, LastUpdate=${hoursSinceUpdate}h ago`);
-        if (hoursSinceUpdate >= LIVENESS_CHECK_HOURS && (!state.stats.lastLivenessAlert || differenceInHours(new Date(), new Date(state.stats.lastLivenessAlert)) >= 6)) {
-            formatMarkdown(t('LIVENESS_ALERT', null, { hours: hoursSinceUpdate }));
-            state.stats.lastLivenessAlert = new Date();
-            saveState();
-        }
-        if (temp >= state.config.tempThreshold && (!state.stats.lastTempAlert || differenceInHours(new Date(), new Date(state.stats.lastTempAlert)) >= 6)) {
-            formatMarkdown(t('TEMP_ALERT', null, { temp, threshold: state.config.tempThreshold }));
-            state.stats.lastTempAlert = new Date();
-            saveState();
+        const data = await getGrowattData(true, new Date(), GROWATT_FAULT_LOG_OPTIONS);
+        const entries = getDeviceEntries(data);
+        if (entries.length === 0) return;
+        const multiDevice = entries.length > 1;
+        const todayStr = format(new Date(), 'yyyy-MM-dd');
+        recordWeatherSample(todayStr, getPlantWeatherFactor(entries[0].plant));
+        for (const entry of entries) {
+            checkDevice(entry, multiDevice, todayStr, monitoringWindow.productionExpected);
+            checkDeviceFaults(entry, multiDevice);
         }
-        if (pac > 0 && state.status.isSystemDown) {
-            formatMarkdown(t('RECOVERY_MESSAGE', null, { pac }));
-            state.status.isSystemDown = false; state.status.outageStartTime = null; state.status.urgentAlertSent = false;
-            saveState();
-        } else if (pac === 0 && !state.status.isSystemDown) {
-            formatMarkdown(t('OUTAGE_MESSAGE', null));
-            state.status.isSystemDown = true; state.status.outageStartTime = new Date();
-            saveState();
+        for (const [plantId, plant] of Object.entries(data)) {
+            checkFaultLog(plantId, plant, multiDevice);
         }
+        saveState();
     } catch (e) { console.error("Hourly check failed:", e.message); }
 }
 
-function checkUrgentConditions() {
-  if (!state.status.isSystemDown || state.status.urgentAlertSent || !state.status.outageStartTime) return;
-  const minutesSinceOutage = differenceInMinutes(new Date(), new Date(state.status.outageStartTime));
-  if (minutesSinceOutage >= URGENT_ALERT_DELAY_MINUTES) {
-    formatMarkdown(t('URGENT_ALERT_MESSAGE', null, { minutes: URGENT_ALERT_DELAY_MINUTES }));
-    state.status.urgentAlertSent = true;
-    saveState();
-  }
+// Around dawn and dusk (`productionExpected` false) a silent inverter is normal, so only temperature and recoveries are checked.
+function checkDevice(entry, multiDevice, todayStr, productionExpected = true) {
+    const { sn, device } = entry;
+    const deviceStatus = getDeviceStatus(sn);
+    deviceStatus.label = getDeviceLabel(entry);
+    const pac = parseFloat(device.historyLast?.pac);
+    const temp = parseFloat(device.historyLast?.temperature);
+    const vacr = parseFloat(device.historyLast?.vacr);
+    const lastUpdate = new Date(device.deviceData?.lastUpdateTime);
+    const hoursSinceUpdate = differenceInHours(new Date(), lastUpdate);
+    console.log(`Hourly Check [${deviceStatus.label}]: Temp=${temp}°C, PAC=${pac}W, Vac=${vacr}V, LastUpdate=${hoursSinceUpdate}h ago`);
+    recordDayProduction(todayStr, sn, { kwh: device.deviceData?.eToday, peakW: pac });
+    const livenessIncident = getOpenIncident('liveness', sn);
+    if (productionExpected && hoursSinceUpdate >= state.config.livenessCheckHours && !livenessIncident) {
+        openIncident('liveness', entry, lang => withDeviceLabel(t('LIVENESS_ALERT', lang, { hours: hoursSinceUpdate }), deviceStatus.label, multiDevice), { hoursSinceUpdate, lastUpdateTime: device.deviceData?.lastUpdateTime || null });
+    } else if (hoursSinceUpdate < state.config.livenessCheckHours && livenessIncident) {
+        resolveIncident(livenessIncident);
+    }
+    const tempIncident = getOpenIncident('temperature', sn);
+    if (temp >= state.config.tempThreshold && !tempIncident) {
+        openIncident('temperature', entry, lang => withDeviceLabel(t('TEMP_ALERT', lang, { temp, threshold: state.config.tempThreshold }), deviceStatus.label, multiDevice), { temperature: temp, threshold: state.config.tempThreshold });
+    } else if (temp < state.config.tempThreshold && tempIncident) {
+        resolveIncident(tempIncident, { details: { temperature: temp } });
+    }
+    // A stopped inverter reports 0 V, which says nothing about the grid; only readings above zero open or close the incident.
+    const { gridVoltageMin, gridVoltageMax } = state.config;
+    const gridIncident = getOpenIncident('grid', sn);
+    const gridOutOfRange = vacr > 0 && (vacr < gridVoltageMin || vacr > gridVoltageMax);
+    if (gridOutOfRange && !gridIncident) {
+        openIncident('grid', entry, lang => withDeviceLabel(t(vacr > gridVoltageMax ? 'GRID_VOLTAGE_HIGH' : 'GRID_VOLTAGE_LOW', lang, { voltage: vacr, min: gridVoltageMin, max: gridVoltageMax }), deviceStatus.label, multiDevice), { voltage: vacr, min: gridVoltageMin, max: gridVoltageMax });
+        recordFaultEvent({ kind: 'grid', state: 'raised', sn, label: deviceStatus.label, voltage: vacr });
+    } else if (vacr > 0 && !gridOutOfRange && gridIncident) {
+        resolveIncident(gridIncident, { render: lang => t('GRID_VOLTAGE_NORMAL', lang, { voltage: vacr }), details: { voltage: vacr } });
+        recordFaultEvent({ kind: 'grid', state: 'cleared', sn, label: deviceStatus.label, voltage: vacr });
+    }
+    const outageIncident = getOpenIncident('outage', sn);
+    if (pac > 0 && outageIncident) {
+        resolveIncident(outageIncident, { render: lang => t('RECOVERY_MESSAGE', lang, { pac }), details: { pac, outageStartTime: outageIncident.openedAt } });
+    } else if (productionExpected && pac === 0 && !outageIncident) {
+        openIncident('outage', entry, lang => withDeviceLabel(t('OUTAGE_MESSAGE', lang), deviceStatus.label, multiDevice), { outageStartTime: new Date() });
+    }
+}
+
+// A new fault code opens a `fault` incident (a different code replaces it); warnings are announced when they appear and clear.
+function checkDeviceFaults(entry, multiDevice) {
+    const { sn } = entry;
+    const deviceStatus = getDeviceStatus(sn);
+    const label = getDeviceLabel(entry);
+    const { status, faultCode, warningCode } = getDeviceFaultState(entry.device);
+    const faulted = faultCode > 0 || status === INVERTER_STATUS_FAULT;
+    const faultIncident = getOpenIncident('fault', sn);
+    if (faultIncident && (!faulted || faultIncident.code !== faultCode)) {
+        resolveIncident(faultIncident, { render: lang => t('FAULT_CLEARED', lang, { fault: describeInverterCode('FAULT_CODE', faultIncident.code, lang) }), details: { code: faultIncident.code } });
+        recordFaultEvent({ kind: 'fault', state: 'cleared', sn, label, code: faultIncident.code });
+    }
+    if (faulted && faultIncident?.code !== faultCode) {
+        const incident = openIncident('fault', entry, lang => withDeviceLabel(t('FAULT_ALERT', lang, { fault: describeInverterCode('FAULT_CODE', faultCode, lang), code: faultCode }), label, multiDevice), { code: faultCode, status });
+        incident.code = faultCode;
+        recordFaultEvent({ kind: 'fault', state: 'raised', sn, label, code: faultCode });
+    }
+    const previousWarning = deviceStatus.warningCode || 0;
+    if (warningCode === previousWarning) return;
+    if (previousWarning) {
+        notify('FAULT_WARNING_ALERT', lang => withDeviceLabel(t('FAULT_WARNING_CLEARED', lang, { warning: describeInverterCode('WARNING_CODE', previousWarning, lang) }), label, multiDevice));
+        recordFaultEvent({ kind: 'warning', state: 'cleared', sn, label, code: previousWarning });
+    }
+    if (warningCode) {
+        notify('FAULT_WARNING_ALERT', lang => withDeviceLabel(t('FAULT_WARNING_RAISED', lang, { warning: describeInverterCode('WARNING_CODE', warningCode, lang) }), label, multiDevice));
+        recordFaultEvent({ kind: 'warning', state: 'raised', sn, label, code: warningCode });
+    }
+    publishEvent('warning', { sn, device: label, code: warningCode, previousCode: previousWarning });
+    deviceStatus.warningCode = warningCode;
+}
+
+// The portal log also catches faults that came and went between two checks. The first time a plant's log is read,
+// its existing entries are only recorded, not announced.
+function checkFaultLog(plantId, plant, multiDevice) {
+    const events = (Array.isArray(plant.faultlog) ? plant.faultlog : Object.values(plant.faultlog || {}))
+        .filter(event => event.time)
+        .sort((a, b) => a.time.localeCompare(b.time));
+    if (events.length === 0) return;
+    const lastSeen = state.faults.lastLogTime[plantId];
+    for (const event of events) {
+        if (lastSeen && event.time <= lastSeen) continue;
+        const sn = event.deviceSn || event.sn;
+        const label = getDeviceLabel({ plant, sn, device: { deviceData: { alias: event.alias } } });
+        const code = parseInt(event.eventId, 10) || 0;
+        recordFaultEvent({ kind: 'fault', state: 'logged', sn, label, code, name: event.eventName || null, time: new Date(event.time.replace(' ', 'T')).toISOString() });
+        if (!lastSeen || getOpenIncident('fault', sn)?.code === code) continue;
+        notify('FAULT_LOG_ALERT', lang => withDeviceLabel(t('FAULT_LOG_ALERT', lang, { fault: describeInverterCode('FAULT_CODE', code, lang, event.eventName), time: event.time }), label, multiDevice));
+        publishEvent('fault_log', { sn, device: label, code, name: event.eventName || null, time: event.time });
+    }
+    state.faults.lastLogTime[plantId] = events[events.length - 1].time;
 }
 
 // =================================================================
-// --- 🚀 5. STARTUP ---
+// --- 🚀 11. STARTUP ---
 // =================================================================
-console.log("Growatt Telegram Bot started (Definitive, Polished Ultimate Version).");
-formatMarkdown(t('WELCOME', state.config.language));
+// Requiring the module (as the tests do) loads state and handlers without polling, scheduling or serving anything.
+function start() {
+    bot.startPolling();
+    registerBotCommands();
+    if (publishers.mqtt.enabled) publishers.mqtt.connect().catch(e => console.error(`MQTT: ${e.message}`));
+    scheduleTasks();
+    console.log(`Growatt Telegram Bot started (Definitive, Polished Ultimate Version). Data: ${GROWATT_SOURCE}, messenger: ${MESSENGER}.`);
+    notify('WELCOME', t('WELCOME', state.config.language));
+    if (stateRecovery) notifyStateRecovery();
+    startHttpServer();
+}
+
+if (require.main === module) start();
+
+module.exports = {
+    start, bot, capturedMessages, publishers, getState: () => state, getStateRecovery: () => stateRecovery, saveState,
+    getGrowattData, runHourlyChecks, checkEscalations, runDailyEveningChecks, runWeeklyReport, runMonthlyReport, flushOutbox, registerBotCommands, startHttpServer
+};
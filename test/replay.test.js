@@ -0,0 +1,648 @@
+'use strict';
+// End-to-end flows against recorded portal payloads (test/fixtures/plant) with Telegram replaced by the capture
+// messenger and the clock faked, so alert timing can be checked without waiting for cron.
+const { test, mock, afterEach } = require('node:test');
+const { once } = require('events');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const GROUP_ID = '-100';
+const ADMIN_ID = 1;
+const MONITOR_PATH = require.resolve('../monitor');
+
+const extraEnv = [];
+const stateDirs = [];
+
+// Loads a fresh copy of the monitor at `now`, with its own state file and backups (optionally pre-seeded; strings are written as is).
+// `env` adds variables for this test only.
+function loadMonitor(now, initialState = null, backups = [], env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'growatt-monitor-'));
+    stateDirs.push(dir);
+    const stateFile = path.join(dir, 'bot_state.json');
+    const write = (file, content) => fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    if (initialState) write(stateFile, initialState);
+    backups.forEach((backup, index) => write(`${stateFile}.bak.${index + 1}`, backup));
+    Object.assign(process.env, {
+        GROWATT_SOURCE: 'replay',
+        GROWATT_FIXTURES_DIR: path.join(__dirname, 'fixtures', 'plant'),
+        MESSENGER: 'capture',
+        STATE_FILE: stateFile,
+        TELEGRAM_GROUP_ID: GROUP_ID,
+        CAPTURE_ADMIN_IDS: String(ADMIN_ID),
+        HTTP_PORT: '0',
+        ...env
+    });
+    extraEnv.push(...Object.keys(env));
+    mock.timers.enable({ apis: ['Date'], now });
+    delete require.cache[MONITOR_PATH];
+    return require(MONITOR_PATH);
+}
+
+function setTime(date) {
+    mock.timers.setTime(date.getTime());
+}
+
+// Notifications are sent without being awaited; give their promise chains a chance to run.
+async function settle() {
+    for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+function groupMessages(monitor) {
+    return monitor.capturedMessages.filter(message => message.method === 'sendMessage' && message.chatId === GROUP_ID);
+}
+
+function seededHistory(days) {
+    return { history: { days: Object.fromEntries(days.map(dateStr => [dateStr, { ABC1234567: { kwh: 10, peakW: 2000, final: true } }])) } };
+}
+
+function datesBetween(start, end) {
+    const dates = [];
+    for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+        dates.push(`${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`);
+    }
+    return dates;
+}
+
+// Accepts every message over plain SMTP; `received` resolves with the raw DATA of the first one.
+function startSmtpSink() {
+    let resolveMessage;
+    const received = new Promise(resolve => { resolveMessage = resolve; });
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 sink ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            for (let end = buffer.indexOf(inData ? '\r\n.\r\n' : '\r\n'); end !== -1; end = buffer.indexOf(inData ? '\r\n.\r\n' : '\r\n')) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + (inData ? 5 : 2));
+                if (inData) {
+                    inData = false;
+                    resolveMessage(line);
+                    socket.write('250 OK\r\n');
+                    continue;
+                }
+                const verb = line.slice(0, 4).toUpperCase();
+                if (verb === 'DATA') { inData = true; socket.write('354 Go ahead\r\n'); }
+                else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+                else socket.write('250 OK\r\n');
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received })));
+}
+
+function getFreePort() {
+    return new Promise(resolve => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+afterEach(() => {
+    mock.timers.reset();
+    extraEnv.splice(0).forEach(name => delete process.env[name]);
+    stateDirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('an outage escalates after 15 minutes and closes when production resumes', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 10, 10, 5));
+    await monitor.runHourlyChecks();
+    await settle();
+    let messages = groupMessages(monitor);
+    assert.strictEqual(messages.length, 1);
+    assert.match(messages[0].text, /CRITICAL ALERT/);
+    assert.ok(messages[0].options.reply_markup, 'outage alert carries the acknowledge/snooze buttons');
+    const incident = monitor.getState().incidents.list[0];
+    assert.strictEqual(incident.type, 'outage');
+
+    setTime(new Date(2026, 5, 10, 10, 15));
+    monitor.checkEscalations();
+    await settle();
+    assert.strictEqual(groupMessages(monitor).length, 1, 'no escalation before the urgent delay');
+
+    setTime(new Date(2026, 5, 10, 10, 20));
+    monitor.checkEscalations();
+    await settle();
+    messages = groupMessages(monitor);
+    assert.strictEqual(messages.length, 2);
+    assert.match(messages[1].text, /URGENT ACTION REQUIRED/);
+
+    setTime(new Date(2026, 5, 10, 12, 5));
+    await monitor.runHourlyChecks();
+    await settle();
+    messages = groupMessages(monitor);
+    assert.match(messages[messages.length - 1].text, /System Recovered/);
+    assert.ok(monitor.getState().incidents.list[0].resolvedAt);
+});
+
+test('acknowledging an incident from its button stops the escalation', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 10, 10, 5));
+    await monitor.runHourlyChecks();
+    await settle();
+    const incident = monitor.getState().incidents.list[0];
+
+    await monitor.bot.processUpdate({
+        callback_query: {
+            id: 'q1',
+            from: { id: 7, first_name: 'Sam' },
+            data: `incident:ack:${incident.id}`,
+            message: { message_id: 1, chat: { id: Number(GROUP_ID), type: 'supergroup' } }
+        }
+    });
+    await settle();
+    assert.ok(monitor.getState().incidents.list[0].acknowledgedAt);
+    assert.ok(monitor.capturedMessages.some(message => message.method === 'answerCallbackQuery'));
+
+    // Pressing a button on an old message: Telegram refuses the answer, which must not crash the bot.
+    const answer = monitor.bot.answerCallbackQuery;
+    monitor.bot.answerCallbackQuery = () => Promise.reject(new Error('query is too old'));
+    await monitor.bot.processUpdate({
+        callback_query: { id: 'q2', from: { id: 7, first_name: 'Sam' }, data: `incident:snooze:${incident.id}`, message: { message_id: 1, chat: { id: Number(GROUP_ID), type: 'supergroup' } } }
+    });
+    await settle();
+    monitor.bot.answerCallbackQuery = answer;
+
+    const sent = groupMessages(monitor).length;
+    setTime(new Date(2026, 5, 10, 11, 30));
+    monitor.checkEscalations();
+    await settle();
+    assert.strictEqual(groupMessages(monitor).length, sent);
+});
+
+test('with the plant location set, outages are checked by the sun rather than the fixed hours', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 10, 10, 5), { config: { latitude: 37, longitude: -120 } }); // Solar noon around 20:00.
+    await monitor.runHourlyChecks(); // Zero output before sunrise, although inside the fixed 10:00–15:00 window.
+    await settle();
+    assert.strictEqual(groupMessages(monitor).length, 0);
+
+    setTime(new Date(2026, 5, 10, 19, 59)); // Still zero output, now under a high sun.
+    await monitor.runHourlyChecks();
+    await settle();
+    assert.strictEqual(monitor.getState().incidents.list.filter(incident => incident.type === 'outage').length, 1);
+    assert.match(groupMessages(monitor)[0].text, /CRITICAL ALERT/);
+});
+
+test('a device that stopped reporting raises a liveness alert', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 11, 10, 5));
+    await monitor.runHourlyChecks();
+    await settle();
+    const messages = groupMessages(monitor);
+    assert.strictEqual(messages.length, 1);
+    assert.match(messages[0].text, /not sent any new data/);
+    assert.strictEqual(monitor.getState().incidents.list[0].type, 'liveness');
+});
+
+test('the evening check stores the final yield and celebrates a record day', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 10, 19, 59));
+    await monitor.runDailyEveningChecks();
+    await settle();
+    assert.deepStrictEqual(monitor.getState().history.days['2026-06-10'].ABC1234567, { kwh: 25, peakW: null, final: true });
+    assert.ok(groupMessages(monitor).some(message => /NEW RECORD/.test(message.text) && /25 kWh/.test(message.text)));
+});
+
+test('the evening check flags a day well below the sunny-day baseline, allowing for the weather', async () => {
+    const days = datesBetween(new Date(2026, 4, 11), new Date(2026, 5, 9));
+    const history = { days: Object.fromEntries(days.map(dateStr => [dateStr, { ABC1234567: { kwh: 40, peakW: 5000, final: true } }])), performance: {} };
+    history.performance['2026-06-10'] = { weatherSamples: 4, weatherFactor: 0.4 }; // Overcast most of the day.
+    const monitor = loadMonitor(new Date(2026, 5, 10, 19, 59), { history });
+    const underperformance = () => groupMessages(monitor).filter(message => /Underperformance/.test(message.text));
+
+    await monitor.runDailyEveningChecks(); // 25 kWh against ~16 kWh expected under cloud.
+    await settle();
+    assert.strictEqual(underperformance().length, 0);
+    assert.strictEqual(monitor.getState().history.performance['2026-06-10'].expectedKwh, 16);
+
+    monitor.getState().history.performance['2026-06-10'].weatherFactor = 1;
+    await monitor.runDailyEveningChecks();
+    await settle();
+    assert.strictEqual(underperformance().length, 1);
+    assert.match(underperformance()[0].text, /\*25\.00 kWh\*, only 63% of the ~40\.00 kWh expected for sunny weather/);
+});
+
+test('weekly and monthly reports total the stored history', async () => {
+    const week = datesBetween(new Date(2026, 5, 1), new Date(2026, 5, 7));
+    const may = datesBetween(new Date(2026, 4, 1), new Date(2026, 4, 31));
+    const monitor = loadMonitor(new Date(2026, 5, 14, 21, 0), seededHistory([...may, ...week]));
+
+    await monitor.runWeeklyReport();
+    await settle();
+    assert.ok(monitor.capturedMessages.some(message => message.method === 'sendPhoto' && /Weekly Report/.test(message.text) && /70\.00 kWh/.test(message.text)));
+
+    setTime(new Date(2026, 5, 1, 21, 0));
+    await monitor.runMonthlyReport();
+    await settle();
+    assert.ok(monitor.capturedMessages.some(message => /Monthly Report/.test(message.text) && /310\.00 kWh/.test(message.text)));
+});
+
+test('shortening the retention rolls complete old months up into monthly totals that reports still use', async () => {
+    const march = datesBetween(new Date(2026, 2, 1), new Date(2026, 2, 30)); // The 31st is missing.
+    const april = datesBetween(new Date(2026, 3, 1), new Date(2026, 3, 30));
+    const june = datesBetween(new Date(2026, 5, 1), new Date(2026, 5, 11));
+    const monitor = loadMonitor(new Date(2026, 5, 12, 12, 5), seededHistory([...march, ...april, ...june]));
+    const send = (text) => monitor.bot.processUpdate({
+        message: { message_id: 6, text, from: { id: ADMIN_ID, first_name: 'Ada' }, chat: { id: Number(GROUP_ID), type: 'supergroup' } }
+    });
+
+    await send('/setretention 30');
+    await settle();
+    const { days, months } = monitor.getState().history;
+    assert.deepStrictEqual(months, { '2026-04': { ABC1234567: 300 } });
+    assert.ok(!Object.keys(days).some(dateStr => dateStr.startsWith('2026-04')));
+    assert.strictEqual(Object.keys(days).filter(dateStr => dateStr.startsWith('2026-03')).length, 30, 'an incomplete month stays as days');
+    assert.strictEqual(Object.keys(days).filter(dateStr => dateStr.startsWith('2026-06')).length, 11);
+
+    await send('export 2026-04');
+    await settle();
+    const file = monitor.capturedMessages.find(message => message.method === 'sendDocument');
+    assert.match(file.options.content, /^2026-04,300\.00,/m);
+});
+
+test('exported savings follow the tariff version, monthly tiers, time bands and consumption cap of each day', async () => {
+    const may = datesBetween(new Date(2026, 4, 1), new Date(2026, 4, 31));
+    const tariffs = [
+        { effectiveFrom: '2026-05-01', baseRate: 0.5, bands: [], tiers: [{ upToKwh: 25, rate: 0.1 }, { upToKwh: null, rate: 0.2 }], feedInRate: 0, selfConsumptionRatio: 1, monthlyConsumptionKwh: null },
+        { effectiveFrom: '2026-05-20', baseRate: 0.4, bands: [{ name: 'Morning', start: '06:00', end: '12:00', rate: 0.3 }], tiers: [], feedInRate: 0.05, selfConsumptionRatio: 0.8, monthlyConsumptionKwh: 80 },
+        { effectiveFrom: '2026-06-01', baseRate: 9, bands: [], tiers: [], feedInRate: 0, selfConsumptionRatio: 1, monthlyConsumptionKwh: null }
+    ];
+    const monitor = loadMonitor(new Date(2026, 5, 10, 12, 5), { ...seededHistory(may), config: { tariffs } });
+    await monitor.bot.processUpdate({
+        message: { message_id: 3, text: 'export 2026-05 json', from: { id: ADMIN_ID, first_name: 'Ada' }, chat: { id: Number(GROUP_ID), type: 'supergroup' } }
+    });
+    await settle();
+    const file = monitor.capturedMessages.find(message => message.method === 'sendDocument');
+    const savings = Object.fromEntries(JSON.parse(file.options.content).days.map(day => [day.date, day.savings]));
+    assert.strictEqual(savings['2026-05-01'], 1, 'the first 25 kWh of the month fall in the lower tier');
+    assert.strictEqual(savings['2026-05-03'], 1.5, 'a day straddling the tier boundary is split across both tiers');
+    assert.strictEqual(savings['2026-05-19'], 2);
+    // From the 20th: half of the 8 self-consumed kWh falls in the morning band, 2 kWh are exported, and the off-band
+    // energy offsets grid purchases only until the 80 kWh monthly consumption is covered.
+    assert.strictEqual(savings['2026-05-20'], 2.9);
+    assert.strictEqual(savings['2026-05-21'], 1.5, 'energy beyond the monthly consumption is valued at the feed-in rate');
+    assert.strictEqual(savings['2026-05-31'], 1.5, 'the June version does not apply to May');
+});
+
+test('export sends the period as CSV, expanding MM-DD to the current year and refusing impossible dates', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 12, 12, 5), seededHistory(datesBetween(new Date(2026, 5, 1), new Date(2026, 5, 11))));
+    const send = (text) => monitor.bot.processUpdate({
+        message: { message_id: 4, text, from: { id: ADMIN_ID, first_name: 'Ada' }, chat: { id: Number(GROUP_ID), type: 'supergroup' } }
+    });
+    const files = () => monitor.capturedMessages.filter(message => message.method === 'sendDocument');
+
+    await send('export 06-05');
+    await settle();
+    assert.strictEqual(files()[0].options.filename, 'growatt-2026-06-05.csv');
+    assert.strictEqual(files()[0].options.content, 'date,kwh,savings_TND\n2026-06-05,10.00,3.20\n\ntotal,10.00,3.20\nbest_day,2026-06-05,10.00\n');
+
+    await send('export');
+    await settle();
+    const lines = files()[1].options.content.split('\n');
+    assert.strictEqual(files()[1].options.filename, 'growatt-2026-06.csv', 'the period defaults to the current month');
+    assert.deepStrictEqual(lines.slice(0, 2), ['date,kwh,savings_TND', '2026-06-01,10.00,3.20']);
+    assert.strictEqual(lines[12], '2026-06-12,4.80,1.54', 'today comes from the live data');
+    assert.strictEqual(lines[13], '', 'no rows after today');
+
+    await send('export 2026-13');
+    await settle();
+    assert.strictEqual(files().length, 2);
+    assert.match(groupMessages(monitor).pop().text, /^Invalid format/);
+});
+
+test('commands sent in a private chat are answered in that chat', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 10, 12, 5));
+    await monitor.bot.processUpdate({
+        message: { message_id: 5, text: 'status', from: { id: ADMIN_ID, first_name: 'Ada' }, chat: { id: ADMIN_ID, type: 'private' } }
+    });
+    await settle();
+    const reply = monitor.capturedMessages.find(message => message.chatId === String(ADMIN_ID));
+    assert.ok(reply, 'status reply captured');
+    assert.match(reply.text, /1500/);
+    assert.strictEqual(groupMessages(monitor).length, 0);
+});
+
+test('with several plants, replies add up every inverter and selectors narrow them to one plant or inverter', async () => {
+    const monitor = loadMonitor(new Date(2026, 6, 1, 12, 5)); // Two plants: Home (Roof, Garage) and Site B (Field).
+    const reply = async (text) => {
+        await monitor.bot.processUpdate({
+            message: { message_id: 7, text, from: { id: ADMIN_ID, first_name: 'Ada' }, chat: { id: Number(GROUP_ID), type: 'supergroup' } }
+        });
+        await settle();
+        return groupMessages(monitor).pop().text;
+    };
+
+    const status = await reply('status');
+    assert.match(status, /\*Power Output:\* 4200 W/);
+    assert.match(status, /• \*Home \/ Garage:\* 700 W, 230\.6 V, 47°C, 2\.6 kWh/);
+    assert.match(status, /• \*Site B \/ Field:\* 2000 W/);
+    assert.match(await reply('today Garage'), /\*2\.6 kWh\*/);
+    assert.match(await reply('total Site B'), /\*2450 kWh\*/, 'a whole plant reports the plant-level total');
+    assert.match(await reply('total garage'), /\*1000 kWh\*/, 'inverter aliases match regardless of case');
+    assert.match(await reply('today Shed'), /No plant or inverter matches \*Shed\*\. Available: `Home` \/ `Roof`, `Home` \/ `Garage`, `Site B` \/ `Field`/);
+});
+
+test('critical alerts are also emailed, with the Markdown rendered as HTML', async () => {
+    const sink = await startSmtpSink();
+    try {
+        const monitor = loadMonitor(new Date(2026, 5, 10, 10, 5), null, [], { SMTP_HOST: '127.0.0.1', SMTP_PORT: String(sink.port), EMAIL_FROM: 'monitor@example.com', EMAIL_TO: 'ops@example.com' });
+        await monitor.runHourlyChecks();
+        let timer;
+        const message = await Promise.race([sink.received, new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error('no email received')), 5000); })]);
+        clearTimeout(timer);
+        assert.match(message, /^To: ops@example\.com\r$/m);
+        assert.match(message, /^Subject: =\?UTF-8\?Q\?Growatt=3A_/m);
+        const html = message.split('Content-Type: text/html')[1].replace(/=\r\n/g, ''); // Undo quoted-printable line wrapping.
+        assert.match(html, /<b>=F0=9F=9A=A8 CRITICAL ALERT:<\/b> Production is 0/);
+    } finally {
+        sink.server.close();
+    }
+});
+
+test('the HTTP API requires the token and reports health and live status', async () => {
+    const port = await getFreePort();
+    const monitor = loadMonitor(new Date(2026, 5, 10, 12, 5), null, [], { HTTP_PORT: String(port), HTTP_TOKEN: 'secret' });
+    const server = monitor.startHttpServer();
+    try {
+        if (!server.listening) await once(server, 'listening');
+        const get = async (pathname, token = 'secret') => {
+            const response = await fetch(`http://127.0.0.1:${port}${pathname}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+            return { status: response.status, body: await response.json() };
+        };
+
+        assert.strictEqual((await get('/api/status', null)).status, 401);
+        assert.strictEqual((await get('/healthz', 'wrong')).status, 401);
+        assert.strictEqual((await get('/healthz')).status, 200);
+        const { status, body } = await get('/api/status');
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.devices.length, 1);
+        assert.ok(body.pac > 0);
+
+        // No fixture for this day: the portal "fails", which /healthz reports and /api/status does not leak.
+        setTime(new Date(2026, 5, 20, 12, 5));
+        const failed = await get('/api/status');
+        assert.deepStrictEqual(failed, { status: 500, body: { error: 'Internal error.' } });
+        const health = await get('/healthz');
+        assert.strictEqual(health.status, 503);
+        assert.strictEqual(health.body.status, 'degraded');
+    } finally {
+        server.close();
+    }
+});
+
+test('admins change settings through /set and every change lands in the audit log', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 10, 12, 5));
+    const send = (text, userId = ADMIN_ID) => monitor.bot.processUpdate({
+        message: { message_id: 9, text, from: { id: userId, first_name: 'Ada' }, chat: { id: Number(GROUP_ID), type: 'supergroup' } }
+    });
+    const lastReply = () => groupMessages(monitor).pop().text;
+
+    await send('/set livenessCheckHours 6');
+    await settle();
+    assert.strictEqual(monitor.getState().config.livenessCheckHours, 6);
+    assert.match(lastReply(), /`livenessCheckHours` changed from `2` to `6`/);
+
+    await send('/set livenessCheckHours 500');
+    await settle();
+    assert.strictEqual(monitor.getState().config.livenessCheckHours, 6);
+    assert.match(lastReply(), /between 1 and 72/);
+
+    await send('/set checkHourStart 18');
+    await settle();
+    assert.strictEqual(monitor.getState().config.checkHourStart, 10, 'window may not start after it ends');
+
+    await send('/set livenessCheckHours 3', 42);
+    await settle();
+    assert.strictEqual(monitor.getState().config.livenessCheckHours, 6, 'non-admins cannot change settings');
+
+    await send('/settemp 70');
+    await send('/config reset livenessCheckHours');
+    await settle();
+    assert.strictEqual(monitor.getState().config.livenessCheckHours, 2);
+    assert.deepStrictEqual(monitor.getState().configAudit.map(({ action, key, previous, value, userId }) => ({ action, key, previous, value, userId })), [
+        { action: 'set', key: 'livenessCheckHours', previous: 2, value: 6, userId: ADMIN_ID },
+        { action: 'set', key: 'tempThreshold', previous: 60, value: 70, userId: ADMIN_ID },
+        { action: 'reset', key: 'livenessCheckHours', previous: 6, value: 2, userId: ADMIN_ID }
+    ]);
+
+    await send('/config history');
+    await settle();
+    assert.match(lastReply(), /`livenessCheckHours` reset: `6` → `2` by Ada \(id 1\)/);
+
+    await send('/set checkHourStart 6');
+    await send('/set checkHourEnd 8');
+    await send('/config reset checkHourStart');
+    await settle();
+    assert.strictEqual(monitor.getState().config.checkHourStart, 6, 'the default start (10) would fall after the end');
+    assert.match(lastReply(), /must not end before it starts/);
+});
+
+test('an unversioned state file is migrated without losing its stats', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 10, 12, 5), {
+        config: { language: 'fr' },
+        stats: { lastReminderDate: '2026-05-01T00:00:00.000Z', nextMilestoneKwh: 19000, bestDay: { date: '2026-05-20', kwh: 31.5 }, history: { '2026-05-19': 12.5 }, streak: 4 }
+    });
+    const state = monitor.getState();
+    assert.strictEqual(state.version, 1);
+    assert.strictEqual(state.config.language, 'fr');
+    assert.strictEqual(state.config.livenessCheckHours, 2);
+    assert.deepStrictEqual(state.stats.bestDay, { date: '2026-05-20', kwh: 31.5 });
+    assert.strictEqual(state.stats.nextMilestoneKwh, 19000);
+    assert.strictEqual(state.stats.streak, 4, 'unknown fields are kept');
+    assert.strictEqual(state.stats.history, undefined);
+    assert.deepStrictEqual(state.history.days['2026-05-19'], { legacy: { kwh: 12.5, peakW: null, final: true } });
+
+    monitor.saveState();
+    const saved = JSON.parse(fs.readFileSync(process.env.STATE_FILE, 'utf8'));
+    assert.strictEqual(saved.version, 1);
+    assert.strictEqual(saved.stats.streak, 4);
+    assert.ok(!fs.existsSync(`${process.env.STATE_FILE}.tmp`));
+});
+
+test('a corrupted state file is recovered from the newest readable backup', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 10, 12, 5), '{"version": 1, "stats": {"bestDay"', [
+        '{ truncated',
+        { version: 1, stats: { bestDay: { date: '2026-06-01', kwh: 28 } } }
+    ]);
+    assert.deepStrictEqual(monitor.getState().stats.bestDay, { date: '2026-06-01', kwh: 28 });
+    const recovery = monitor.getStateRecovery();
+    assert.strictEqual(path.basename(recovery.backupFile), 'bot_state.json.bak.2');
+    assert.ok(fs.existsSync(recovery.corruptFile));
+    assert.ok(!fs.existsSync(process.env.STATE_FILE));
+});
+
+test('inverter faults, grid voltage limits and the portal event log raise and clear alerts', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 12, 10, 5));
+    await monitor.runHourlyChecks();
+    await settle();
+    let texts = groupMessages(monitor).map(message => message.text);
+    assert.ok(texts.some(text => /Inverter fault:\* grid voltage out of range \(code 30\)/.test(text)));
+    assert.ok(texts.some(text => /Grid voltage too high:\* 262\.5 V \(upper limit 253 V\)/.test(text)));
+    assert.ok(!texts.some(text => /event logged/.test(text)), 'entries already in the log on the first check are not announced');
+    assert.deepStrictEqual(monitor.getState().incidents.list.map(incident => incident.type).sort(), ['fault', 'grid', 'outage']);
+
+    setTime(new Date(2026, 5, 12, 12, 5));
+    const sent = groupMessages(monitor).length;
+    await monitor.runHourlyChecks();
+    await settle();
+    texts = groupMessages(monitor).slice(sent).map(message => message.text);
+    assert.ok(texts.some(text => /Fault cleared:\* grid voltage out of range/.test(text)));
+    assert.ok(texts.some(text => /Grid voltage back to normal:\* 236\.1 V/.test(text)));
+    assert.ok(texts.some(text => /event logged\* at 2026-06-12 11:10:05: PV isolation too low/.test(text)));
+    assert.ok(monitor.getState().incidents.list.every(incident => incident.resolvedAt));
+
+    await monitor.bot.processUpdate({
+        message: { message_id: 3, text: 'défauts', from: { id: ADMIN_ID, first_name: 'Ada' }, chat: { id: Number(GROUP_ID), type: 'supergroup' } }
+    });
+    await settle();
+    const lines = groupMessages(monitor).pop().text.split('\n');
+    assert.match(lines[0], /Défauts onduleur/);
+    assert.strictEqual(lines.length, 7);
+    assert.match(lines[2], /tension réseau revenue à la normale \(236\.1 V\)/);
+    assert.match(lines[lines.length - 1], /2026-06-01 07:12 · Test Plant \/ Roof · 📋 pas de connexion AC \(réseau absent\) \(journal du portail\)/);
+});
+
+test('faults and grid excursions stay open overnight, without reminders, instead of being raised again the next morning', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 12, 10, 5));
+    await monitor.runHourlyChecks();
+    await settle();
+    const opened = monitor.getState().incidents.list.filter(incident => incident.type !== 'outage').map(incident => incident.id);
+
+    setTime(new Date(2026, 5, 12, 23, 5));
+    await monitor.runHourlyChecks();
+    const open = monitor.getState().incidents.list.filter(incident => !incident.resolvedAt);
+    assert.deepStrictEqual(open.map(incident => incident.id), opened, 'only the outage is closed at night');
+    const sentAtNight = groupMessages(monitor).length;
+    for (const time of [new Date(2026, 5, 12, 23, 35), new Date(2026, 5, 13, 2, 5)]) {
+        setTime(time);
+        monitor.checkEscalations();
+    }
+    await settle();
+    assert.strictEqual(groupMessages(monitor).length, sentAtNight, 'no reminders overnight');
+
+    // The fault and the high grid voltage are still there the next morning.
+    setTime(new Date(2026, 5, 13, 10, 5));
+    const sent = groupMessages(monitor).length;
+    await monitor.runHourlyChecks();
+    await settle();
+    assert.ok(!groupMessages(monitor).slice(sent).some(message => /Inverter fault|Grid voltage too high/.test(message.text)), 'no second alert');
+    assert.deepStrictEqual(monitor.getState().incidents.list.filter(incident => opened.includes(incident.id) && !incident.resolvedAt).map(incident => incident.id), opened);
+    const events = monitor.getState().faults.events.filter(event => event.state !== 'logged').map(({ kind, state }) => `${kind}:${state}`);
+    assert.deepStrictEqual(events.sort(), ['fault:raised', 'grid:raised']);
+});
+
+test('the /menu buttons open the history pickers and let admins change settings', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 12, 12, 5), seededHistory(datesBetween(new Date(2026, 5, 1), new Date(2026, 5, 11))));
+    const chat = { id: Number(GROUP_ID), type: 'supergroup' };
+    const press = (data, userId = ADMIN_ID) => monitor.bot.processUpdate({
+        callback_query: { id: data, from: { id: userId, first_name: 'Ada' }, data, message: { message_id: 1, chat } }
+    });
+    const lastEdit = () => monitor.capturedMessages.filter(message => message.method === 'editMessageText').pop();
+    const buttons = (message) => message.options.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+
+    await monitor.bot.processUpdate({ message: { message_id: 1, text: '/menu@GrowattBot', from: { id: ADMIN_ID, first_name: 'Ada', language_code: 'en' }, chat } });
+    await settle();
+    assert.deepStrictEqual(buttons(groupMessages(monitor).pop()), ['menu:en:status', 'menu:en:today', 'menu:en:compare', 'menu:en:history', 'config:en:list']);
+
+    const answer = monitor.bot.answerCallbackQuery;
+    monitor.bot.answerCallbackQuery = () => Promise.reject(new Error('query is too old'));
+    await press('menu:en:history');
+    await settle();
+    monitor.bot.answerCallbackQuery = answer;
+    assert.ok(buttons(lastEdit()).includes('menu:en:year:2026'), 'a refused answer does not stop the menu');
+    await press('menu:en:year:2026');
+    await settle();
+    assert.ok(buttons(lastEdit()).includes('menu:en:period:2026-06'));
+    assert.ok(!buttons(lastEdit()).includes('menu:en:period:2026-07'), 'months still to come are not offered');
+    await press('menu:en:period:2026-06');
+    await settle();
+    assert.match(monitor.capturedMessages.filter(message => message.method === 'sendPhoto').pop().text, /Production on \*2026-06\* was \*114\.80 kWh\*/);
+
+    await press('config:en:set:livenessCheckHours:3', 42);
+    await settle();
+    assert.strictEqual(monitor.getState().config.livenessCheckHours, 2, 'non-admins cannot use the settings buttons');
+    assert.match(monitor.capturedMessages.pop().text, /administrator-only/);
+
+    await press('config:en:show:livenessCheckHours');
+    await settle();
+    assert.ok(buttons(lastEdit()).includes('config:en:set:livenessCheckHours:3'));
+    await press('config:en:set:livenessCheckHours:3');
+    await settle();
+    assert.strictEqual(monitor.getState().config.livenessCheckHours, 3);
+    assert.deepStrictEqual(monitor.getState().configAudit.map(({ action, key, value, userId }) => ({ action, key, value, userId })), [
+        { action: 'set', key: 'livenessCheckHours', value: 3, userId: ADMIN_ID }
+    ]);
+
+    await press('config:en:set:checkHourStart:6');
+    await press('config:en:set:checkHourEnd:8');
+    await press('config:en:reset:checkHourStart');
+    await settle();
+    assert.strictEqual(monitor.getState().config.checkHourStart, 6);
+    const refusal = monitor.capturedMessages.filter(message => message.method === 'answerCallbackQuery').pop();
+    assert.match(refusal.text, /must not end before it starts/);
+});
+
+test('bot commands are registered in English and French, with the admin commands for group administrators only', async () => {
+    const monitor = loadMonitor(new Date(2026, 5, 10, 12, 5));
+    await monitor.registerBotCommands();
+    const registered = monitor.capturedMessages.filter(message => message.method === 'setMyCommands').map(message => message.options);
+    const commandsFor = (languageCode, admins) => registered
+        .find(options => options.language_code === languageCode && (options.scope?.type === 'chat_administrators') === admins)
+        .commands.map(command => command.command);
+    assert.strictEqual(registered.length, 4);
+    assert.ok(commandsFor(undefined, false).includes('status'));
+    assert.ok(commandsFor('fr', false).includes('statut'));
+    assert.ok(!commandsFor('fr', false).includes('config'));
+    assert.ok(commandsFor('fr', true).includes('tarif'));
+    assert.strictEqual(registered.find(options => options.scope).scope.chat_id, GROUP_ID);
+});
+
+test('concurrent requests for the same day share one portal call', async (t) => {
+    const Growatt = require('growatt');
+    const payload = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'plant', '2026-06-10T1000.json'), 'utf8'));
+    let connected = false;
+    t.mock.method(Growatt.prototype, 'login', async () => { connected = true; });
+    t.mock.method(Growatt.prototype, 'isConnected', () => connected);
+    const portalCall = t.mock.method(Growatt.prototype, 'getAllPlantData', async () => payload);
+    const monitor = loadMonitor(new Date(2026, 5, 10, 10, 5), null, [], { GROWATT_SOURCE: 'live' });
+
+    const first = monitor.getGrowattData();
+    setTime(new Date(2026, 5, 10, 10, 5, 1));
+    const second = monitor.getGrowattData();
+    assert.deepStrictEqual(await Promise.all([first, second]), [payload, payload]);
+    assert.strictEqual(portalCall.mock.callCount(), 1);
+});
+
+test('queued events reach the webhook while the MQTT broker is down and stay in the outbox for MQTT only', async (t) => {
+    const delivered = [];
+    const webhook = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => { delivered.push(JSON.parse(body).event); res.end('ok'); });
+    });
+    const broker = net.createServer(socket => socket.destroy()); // Drops every client before CONNACK.
+    await Promise.all([once(webhook.listen(0, '127.0.0.1'), 'listening'), once(broker.listen(0, '127.0.0.1'), 'listening')]);
+    const queued = (id, event) => ({ id, message: { type: 'event', event, timestamp: '2026-06-10T09:00:00.000Z' }, pending: ['webhook', 'mqtt'], attempts: 0, nextAttemptAt: null });
+    const now = new Date(2026, 5, 10, 12, 5);
+    const monitor = loadMonitor(now, { outbox: [queued('1', 'warning'), queued('2', 'acknowledged')] }, [], {
+        WEBHOOK_URL: `http://127.0.0.1:${webhook.address().port}/events`, MQTT_URL: `mqtt://127.0.0.1:${broker.address().port}`
+    });
+    const mqttPublish = t.mock.method(monitor.publishers.mqtt, 'publish');
+    try {
+        await monitor.flushOutbox();
+        assert.deepStrictEqual(delivered, ['warning', 'acknowledged']);
+        assert.strictEqual(mqttPublish.mock.callCount(), 1, 'MQTT is not tried again for the second event of the same flush');
+        assert.deepStrictEqual(monitor.getState().outbox.map(({ id, pending, attempts, nextAttemptAt }) => ({ id, pending, attempts, nextAttemptAt })), [
+            { id: '1', pending: ['mqtt'], attempts: 1, nextAttemptAt: new Date(now.getTime() + 2 * 60000) },
+            { id: '2', pending: ['mqtt'], attempts: 1, nextAttemptAt: new Date(now.getTime() + 2 * 60000) }
+        ]);
+    } finally {
+        monitor.publishers.mqtt.client?.end(true);
+        webhook.close();
+        broker.close();
+    }
+});